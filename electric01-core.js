@@ -0,0 +1,1807 @@
+// Circuit solver & analyzer for electric01 (no DOM / canvas).
+// Loaded before electric01.js in the page; under Node it is a CommonJS
+// module, which is how tests/electric01.test.js runs it headless.
+
+// System Parameters
+const BULB_RESISTANCE = 100;
+const MOTOR_RESISTANCE = 50; // Ohms
+const SWITCH_RESISTANCE = 0.00001; // Closed
+const SWITCH_OPEN_RESISTANCE = 1e9; // Open
+const CONDUCTOR_RESISTANCE = 0.00001; // Metal
+const INSULATOR_RESISTANCE = 1e9; // Plastic/Rubber
+const CONDUCTOR_TYPES = ["paperclip", "coin"];
+const INSULATOR_TYPES = ["eraser", "lego"];
+// More things to test: resistance between the two probe clips (Ohms).
+// Partial conductors let a bulb in series glow dim. Teachers' own
+// materials are registered here at runtime with addMaterial().
+const MATERIALS = {
+  pencil: { name: "鉛筆筆芯", icon: "✏️", resistance: 40 }, // Graphite
+  foil: { name: "鋁箔紙", icon: "✨", resistance: CONDUCTOR_RESISTANCE },
+  saltwater: { name: "鹽水", icon: "🧂", resistance: 300 },
+  glass: { name: "玻璃", icon: "🪟", resistance: INSULATOR_RESISTANCE },
+  wood: { name: "木頭", icon: "🪵", resistance: INSULATOR_RESISTANCE },
+  key: { name: "鑰匙", icon: "🔑", resistance: CONDUCTOR_RESISTANCE },
+};
+const MATERIAL_NAME_MAX_LENGTH = 8;
+const BATTERY_VOLTAGE = 1.5;
+const BATTERY_RESISTANCE = 0.001;
+// Power sources a teacher can pick per battery (voltage = EMF when full)
+const BATTERY_TYPES = {
+  aa: { label: "1.5V 3號電池", voltage: 1.5 },
+  "9v": { label: "9V 方形電池", voltage: 9 },
+  lab: { label: "可調電源供應器", voltage: 3 }, // Starting point, adjustable
+};
+const LAB_SUPPLY_MIN_VOLTAGE = 0.5;
+const LAB_SUPPLY_MAX_VOLTAGE = 12;
+const BATTERY_RESISTANCE_OPTIONS = [BATTERY_RESISTANCE, 0.1, 0.5, 1, 2]; // Internal resistance (Ohms)
+const SHORT_CIRCUIT_RATIO = 0.8 / BATTERY_VOLTAGE; // Terminal voltage below this share of the EMF = shorted
+const RESISTOR_VALUES = [10, 100, 1000]; // Selectable fixed resistor values (Ohms)
+const DIODE_FORWARD_VOLTAGE = 0.7; // Silicon diode
+const LED_FORWARD_VOLTAGE = 1.2; // Scaled down so a single 1.5V cell can light it
+const DIODE_ON_RESISTANCE = 1; // Ohms, once forward-biased
+const LED_ON_RESISTANCE = 10; // Ohms, once forward-biased
+const DIODE_OFF_RESISTANCE = 1e9; // Reverse-biased / below forward voltage
+const LED_FULL_CURRENT = 0.02; // 20mA = full brightness
+const MAX_DIODE_ITERATIONS = 20; // Piecewise-linear state iterations per solve
+const AMMETER_RESISTANCE = 0.0001; // Ideal ammeter ~ 0 Ohm (goes in series)
+const VOLTMETER_RESISTANCE = 1e7; // Ideal voltmeter ~ infinite (goes in parallel)
+const AMMETER_FULL_SCALE = 100; // mA
+const VOLTMETER_FULL_SCALE = 5; // V
+const AMMETER_OVERLOAD_CURRENT = 1; // A, e.g. wired straight across a battery
+const PROTECTOR_RESISTANCE = 0.01; // Intact fuse / closed breaker (Ohms)
+const PROTECTOR_RATING = 0.5; // A, well above 30 parallel bulbs, far below a short
+const COIL_RESISTANCE = 10; // Electromagnet winding (Ohms)
+const COIL_FULL_CURRENT = BATTERY_VOLTAGE / COIL_RESISTANCE; // One cell = strength 1
+// Light sensors: each part's `light` runs from 0 (dark) to 1 (full sun)
+const SOLAR_MAX_VOLTAGE = 2; // Solar cell EMF in full sun
+const SOLAR_RESISTANCE = 10; // A weak source: a short only draws 0.2A
+const LDR_DARK_RESISTANCE = 100000; // Photoresistor in the dark (Ohms)
+const LDR_LIGHT_RESISTANCE = 0.5; // Full sun: low enough to bypass a bulb
+const BUZZER_RESISTANCE = 50; // Ohms
+const BUZZER_MIN_VOLTAGE = 0.3; // Below this the buzzer stays silent
+const CAPACITOR_CAPACITANCE = 0.02; // F, so through a bulb RC = 2s
+// Realistic Mode (battery drain & burnout)
+const BATTERY_CAPACITY = 1.0; // Coulombs, scaled so one bulb drains a cell in ~1 min
+const BATTERY_EMPTY_LEVEL = 0.02; // Below 2% charge counts as flat (EMF fades asymptotically)
+const BULB_RATED_VOLTAGE = 3.5; // Above this a bulb burns out
+const MOTOR_RATED_VOLTAGE = 4.0; // Above this a motor burns out
+const BURNOUT_DELAY = 0.5; // Seconds of overvoltage before burning out
+const BURNT_OUT_RESISTANCE = 1e9; // Burnt out = permanently open
+
+// Display names (zh-TW), matching the toolbox labels
+const COMPONENT_NAMES = {
+  battery: "電池",
+  bulb: "燈泡",
+  motor: "馬達",
+  switch: "開關",
+  paperclip: "迴紋針",
+  eraser: "橡皮擦",
+  coin: "硬幣",
+  lego: "積木",
+  resistor: "電阻",
+  diode: "二極體",
+  led: "LED",
+  ammeter: "電流計",
+  voltmeter: "電壓計",
+  fuse: "保險絲",
+  breaker: "斷路器",
+  junction: "節點",
+  coil: "電磁鐵",
+  solar: "太陽能電池",
+  ldr: "光敏電阻",
+  buzzer: "蜂鳴器",
+  capacitor: "電容器",
+  pencil: "鉛筆筆芯",
+  foil: "鋁箔紙",
+  saltwater: "鹽水",
+  glass: "玻璃",
+  wood: "木頭",
+  key: "鑰匙",
+};
+
+function isDiodeType(type) {
+  return type === "diode" || type === "led";
+}
+
+function isMeterType(type) {
+  return type === "ammeter" || type === "voltmeter";
+}
+
+// Fuse (blows for good) and breaker (can be reset): both open on overload
+function isProtectorType(type) {
+  return type === "fuse" || type === "breaker";
+}
+
+// Parts that push current: terminal 0 is their + end
+function isSourceType(type) {
+  return type === "battery" || type === "solar";
+}
+
+// Built-in or teacher-defined test material (not the four classic objects)
+function isMaterialType(type) {
+  return Object.prototype.hasOwnProperty.call(MATERIALS, type);
+}
+
+// A free wiring node: one terminal, no electrical element of its own
+function isJunctionType(type) {
+  return type === "junction";
+}
+
+// ---------------------------------------------------------
+// Circuit Model
+// ---------------------------------------------------------
+// Electrical side of a lab part. The canvas Component in electric01.js
+// extends it with position, terminal layout and drawing.
+class CircuitComponent {
+  constructor(type) {
+    this.id = Date.now() + Math.random();
+    this.type = type;
+    this.terminals = isJunctionType(type)
+      ? [{ id: 0 }]
+      : [{ id: 0 }, { id: 1 }];
+    this.isSwitchOpen = true; // Default open
+    this.batteryType = "aa"; // Battery only, see BATTERY_TYPES
+    this.voltage = BATTERY_VOLTAGE; // Battery only, EMF when full
+    this.light = 1; // Solar cell / LDR: sunlight on it, 0 (dark) to 1
+    this.capacitance = CAPACITOR_CAPACITANCE; // Capacitor only
+    this.capVoltage = 0; // Capacitor only, terminal 0 minus terminal 1
+
+    // Physical Properties
+    this.resistance = 0; // Will be set based on type
+    this.initProperties();
+
+    // Simulation State
+    this.voltageDrop = 0;
+    this.current = 0; // Flowing from terminal 0 to terminal 1 (battery: out of +)
+    this.isShorted = false;
+    this.isConducting = false; // Diode / LED forward-biased state
+    this.isOverloaded = false; // Ammeter carrying far more than full scale
+    this.isTripped = false; // Fuse blown / breaker tripped
+    this.tripCurrent = 0; // Current that tripped it (A)
+
+    // Realistic Mode State
+    this.charge = BATTERY_CAPACITY; // Battery only
+    this.isBurntOut = false; // Bulb / Motor only
+    this.overVoltageTime = 0;
+  }
+
+  initProperties() {
+    if (this.type === "bulb") this.resistance = BULB_RESISTANCE;
+    else if (this.type === "motor") this.resistance = MOTOR_RESISTANCE;
+    else if (this.type === "switch")
+      this.resistance = SWITCH_OPEN_RESISTANCE; // Dynamic
+    else if (this.type === "battery") this.resistance = BATTERY_RESISTANCE;
+    else if (CONDUCTOR_TYPES.includes(this.type))
+      this.resistance = CONDUCTOR_RESISTANCE;
+    else if (INSULATOR_TYPES.includes(this.type))
+      this.resistance = INSULATOR_RESISTANCE;
+    else if (isMaterialType(this.type))
+      this.resistance = MATERIALS[this.type].resistance;
+    else if (this.type === "resistor") this.resistance = RESISTOR_VALUES[1];
+    else if (isDiodeType(this.type))
+      this.resistance = DIODE_OFF_RESISTANCE; // Dynamic
+    else if (this.type === "ammeter") this.resistance = AMMETER_RESISTANCE;
+    else if (this.type === "voltmeter") this.resistance = VOLTMETER_RESISTANCE;
+    else if (isProtectorType(this.type))
+      this.resistance = PROTECTOR_RESISTANCE; // Dynamic
+    else if (this.type === "coil") this.resistance = COIL_RESISTANCE;
+    else if (this.type === "solar") this.resistance = SOLAR_RESISTANCE;
+    else if (this.type === "ldr") this.resistance = getLdrResistance(this);
+    else if (this.type === "buzzer") this.resistance = BUZZER_RESISTANCE;
+    else if (this.type === "capacitor")
+      this.resistance = SWITCH_OPEN_RESISTANCE; // DC: blocks once charged
+  }
+
+  // Battery only: switch to another kind of source at its standard voltage
+  setBatteryType(type) {
+    this.batteryType = type;
+    this.voltage = BATTERY_TYPES[type].voltage;
+  }
+}
+
+// 1.0 = one fresh cell across the bulb
+function getBulbBrightness(c) {
+  return Math.min(Math.abs(c.voltageDrop) / BATTERY_VOLTAGE, 10.0);
+}
+
+// Brightness as the lab talks about it: "off" | "dim" | "normal" | "bright".
+// Bands are relative to the cell voltage powering the circuit, so a bulb on
+// a single 9V battery is "normal" and two of them in series are "bright".
+function getBulbBrightnessBand(c, sourceVoltage = BATTERY_VOLTAGE) {
+  const v = c.isBurntOut ? 0 : Math.abs(c.voltageDrop) / sourceVoltage;
+  if (v <= 0.1 / 1.5) return "off";
+  if (v <= 0.8) return "dim";
+  if (v <= 2.5 / 1.5) return "normal";
+  return "bright";
+}
+
+// Electromagnet field from the solved coil current, 1.0 = one fresh cell
+// (about a bar magnet). Signed: positive (terminal 0 -> 1) puts the N pole
+// at the terminal 0 end, reversing the battery swaps the poles.
+function getCoilFieldStrength(c) {
+  return c.isBurntOut ? 0 : c.current / COIL_FULL_CURRENT;
+}
+
+// The magnet page's electromagnet: this coil on `cellCount` cells behind a
+// switch. Amps through it, negative when the cells are reversed.
+function getElectromagnetCurrent(magnet) {
+  if (magnet.isSwitchOpen) return 0;
+  const current = (magnet.cellCount * BATTERY_VOLTAGE) / COIL_RESISTANCE;
+  return magnet.isReversed ? -current : current;
+}
+
+// Its poles as [N, S], each with the core end it sits at (-1 left, 1 right)
+// and a strength in bar magnets; none while no current flows. Forward
+// current puts N at the left end, as getCoilFieldStrength puts it at
+// terminal 0.
+function getElectromagnetPoles(magnet) {
+  const field = getCoilFieldStrength({
+    current: getElectromagnetCurrent(magnet),
+  });
+  if (field === 0) return [];
+  const nSide = field > 0 ? -1 : 1;
+  const strength = Math.abs(field);
+  return [
+    { type: "N", side: nSide, strength },
+    { type: "S", side: -nSide, strength },
+  ];
+}
+
+// Solar cell EMF grows with the light on it
+function getSolarVoltage(c) {
+  return SOLAR_MAX_VOLTAGE * c.light;
+}
+
+// EMF of any source part
+function getSourceVoltage(c) {
+  return c.type === "solar" ? getSolarVoltage(c) : getBatteryVoltage(c);
+}
+
+// Photoresistor: drops from dark to light resistance on a log scale, so
+// every step of the sunlight slider changes it by the same factor
+function getLdrResistance(c) {
+  const ratio = LDR_LIGHT_RESISTANCE / LDR_DARK_RESISTANCE;
+  return LDR_DARK_RESISTANCE * Math.pow(ratio, c.light);
+}
+
+// Buzzer loudness / pitch from its voltage drop, 1.0 = one fresh cell
+function getBuzzerLevel(c) {
+  const v = Math.abs(c.voltageDrop);
+  return c.isBurntOut || v < BUZZER_MIN_VOLTAGE ? 0 : v / BATTERY_VOLTAGE;
+}
+
+// What the test bench shows for a material: "conductor" (bulb lights
+// normally), "partial" (dim) or "insulator" (off), with one fresh cell and
+// a bulb in series
+function getConductivityClass(resistance) {
+  const bulb = {
+    voltageDrop:
+      (BATTERY_VOLTAGE * BULB_RESISTANCE) / (BULB_RESISTANCE + resistance),
+  };
+  return getConductivityFromBand(getBulbBrightnessBand(bulb));
+}
+
+function getConductivityFromBand(band) {
+  if (band === "off") return "insulator";
+  return band === "dim" ? "partial" : "conductor";
+}
+
+// Charge held by a capacitor (Coulombs)
+function getCapacitorCharge(c) {
+  return c.capacitance * c.capVoltage;
+}
+
+// ---------------------------------------------------------
+// Circuit Simulation (Sparse Nodal Solver)
+// ---------------------------------------------------------
+// Solves G * V = I for node voltages. Ideal wires are not part of the matrix:
+// terminals joined by wires are merged into a single node first.
+// Batteries are modeled as Norton equivalents to fit Nodal Analysis easily:
+// V_source + R_series <==> I_source (V/R) || G_parallel (1/R)
+
+function getTermKey(comp, tid) {
+  return `${comp.id}-${tid}`;
+}
+
+// Groups terminals joined by wires into Nodes (Disjoint Set / Union-Find).
+// Returns find(): terminal key 'compID-termID' -> root key of its Node.
+function groupTerminals(components, wires) {
+  const parent = new Map();
+  function find(i) {
+    if (!parent.has(i)) parent.set(i, i);
+    if (parent.get(i) !== i) parent.set(i, find(parent.get(i)));
+    return parent.get(i);
+  }
+  function union(i, j) {
+    const rootI = find(i);
+    const rootJ = find(j);
+    if (rootI !== rootJ) parent.set(rootI, rootJ);
+  }
+
+  // Initialize all terminals
+  components.forEach((c) => {
+    c.terminals.forEach((t) => find(getTermKey(c, t.id)));
+  });
+
+  // Union connected terminals
+  wires.forEach((w) => {
+    union(
+      getTermKey(w.from.comp, w.from.terminalId),
+      getTermKey(w.to.comp, w.to.terminalId)
+    );
+  });
+
+  return find;
+}
+
+// Numbers the nodes in component order: the node of the first terminal
+// seen is 0, the next new one 1, and so on.
+function assignNodes(components, wires) {
+  const findNode = groupTerminals(components, wires);
+  const terminalNodes = new Map(); // 'compID-termID' -> NodeIndex
+  const rootIndex = new Map(); // Root key -> NodeIndex
+  let nodeCount = 0;
+
+  components.forEach((c) => {
+    c.terminals.forEach((t) => {
+      const key = getTermKey(c, t.id);
+      const root = findNode(key);
+      if (!rootIndex.has(root)) rootIndex.set(root, nodeCount++);
+      terminalNodes.set(key, rootIndex.get(root));
+    });
+  });
+
+  return { terminalNodes, nodeCount };
+}
+
+// Solves the circuit in place: every component gets voltageDrop / current
+// (plus isConducting, isOverloaded, isShorted) and every wire its current.
+// Returns the node voltages, indexed as assignNodes() numbers them.
+// dt = 0 is the DC steady state (capacitors fully charged, i.e. open);
+// dt > 0 is one transient time step from each capacitor's capVoltage,
+// which advanceCapacitors() then moves forward.
+function solveCircuit(components, wires, dt = 0) {
+  // 1. Identification: Terminals joined by wires share one Node
+  const { terminalNodes, nodeCount } = assignNodes(components, wires);
+
+  if (nodeCount === 0) return { nodeVoltages: [], terminalNodes };
+
+  // Diodes and LEDs are nonlinear: model each as piecewise-linear
+  // (off = open, on = forward voltage + small resistance), solve, then
+  // re-check every diode's state against the solution until nothing flips.
+  const diodes = components.filter((c) => isDiodeType(c.type));
+
+  // 2. Build Matrix (G matrix, one sparse row per Node) and RHS (I vector)
+  // and solve G * V = I
+  function buildAndSolve() {
+    const G = Array.from({ length: nodeCount }, () => new Map());
+    const I = Array(nodeCount).fill(0);
+
+    function addEntry(r, c, g) {
+      G[r].set(c, (G[r].get(c) || 0) + g);
+    }
+
+    // Helper to add conductance between n1 and n2
+    function addConductance(n1, n2, g) {
+      if (n1 === n2) return; // Both ends on the same Node: no effect
+      addEntry(n1, n1, g);
+      addEntry(n2, n2, g);
+      addEntry(n1, n2, -g);
+      addEntry(n2, n1, -g);
+    }
+
+    // A. Components
+    components.forEach((c) => {
+      if (isJunctionType(c.type)) return; // Only merges the wires on it
+      const n0 = terminalNodes.get(getTermKey(c, 0)); // + / Side
+      const n1 = terminalNodes.get(getTermKey(c, 1)); // - / Tip
+
+      if (isSourceType(c.type)) {
+        // Battery: V = EMF, R = internal resistance (e.g. 1.5V, 0.5 Ohm).
+        // Norton: I = 1.5 / 0.5 = 3A. G = 1 / 0.5 = 2S.
+        // Current flows from - to + INSIDE source (raising potential).
+        // So it leaves (-) and enters (+).
+        // I vector: +Term gets +3A, -Term gets -3A.
+        const g = 1.0 / c.resistance;
+        const current = getSourceVoltage(c) * g;
+
+        addConductance(n0, n1, g);
+
+        // Current source pushes parallel to G, from - to +.
+        // Enters n0 (+), Leaves n1 (-).
+        I[n0] += current;
+        I[n1] -= current;
+      } else if (c.isBurntOut) {
+        // Burnt out Bulb / Motor: permanently open
+        addConductance(n0, n1, 1.0 / BURNT_OUT_RESISTANCE);
+      } else if (c.type === "capacitor" && dt > 0) {
+        // Backward Euler companion model: i = C/dt * (V - V_prev), i.e.
+        // G = C/dt in parallel with a source of G * V_prev into n0
+        const g = c.capacitance / dt;
+        addConductance(n0, n1, g);
+        I[n0] += g * c.capVoltage;
+        I[n1] -= g * c.capVoltage;
+      } else if (c.type === "bulb") {
+        const g = 1.0 / BULB_RESISTANCE;
+        addConductance(n0, n1, g);
+      } else if (isDiodeType(c.type)) {
+        // Anode = n0, Cathode = n1
+        if (c.isConducting) {
+          // I = (Vd - Vf) / R_on  ==>  G_on in parallel with a
+          // constant source of Vf * G_on pushing from cathode into anode.
+          const g = 1.0 / getDiodeOnResistance(c);
+          addConductance(n0, n1, g);
+          I[n0] += getForwardVoltage(c) * g;
+          I[n1] -= getForwardVoltage(c) * g;
+          c.resistance = getDiodeOnResistance(c); // Sync
+        } else {
+          addConductance(n0, n1, 1.0 / DIODE_OFF_RESISTANCE);
+          c.resistance = DIODE_OFF_RESISTANCE; // Sync
+        }
+      } else {
+        // Generic Resistance Component (Bulb, Motor, Switch, Conductors, Insulators)
+        // Calculate G based on current state
+        let r = c.resistance;
+
+        if (c.type === "switch") {
+          // Update dynamic resistance for switch
+          r = c.isSwitchOpen ? SWITCH_OPEN_RESISTANCE : SWITCH_RESISTANCE;
+          c.resistance = r; // Sync
+        } else if (isProtectorType(c.type)) {
+          r = c.isTripped ? SWITCH_OPEN_RESISTANCE : PROTECTOR_RESISTANCE;
+          c.resistance = r; // Sync
+        } else if (c.type === "ldr") {
+          r = getLdrResistance(c);
+          c.resistance = r; // Sync
+        }
+
+        const g = 1.0 / r;
+        addConductance(n0, n1, g);
+      }
+    });
+
+    // B. Wires: already merged into Nodes, nothing to stamp
+
+    // C. Ground Reference / Stabilization
+    // Adding a very weak conductance to ground (0V) at every node
+    // to ensure matrix is non-singular (invertible) even if floating.
+    const G_weak = 1e-6;
+    for (let i = 0; i < nodeCount; i++) {
+      addEntry(i, i, G_weak);
+    }
+
+    return solveSparse(G, I);
+  }
+
+  // 3. Solve, iterating the diode states
+  let V = buildAndSolve();
+  for (let iter = 0; iter < MAX_DIODE_ITERATIONS; iter++) {
+    let changed = false;
+    diodes.forEach((d) => {
+      const vd =
+        V[terminalNodes.get(getTermKey(d, 0))] -
+        V[terminalNodes.get(getTermKey(d, 1))];
+      // On: conducts only while forward voltage is exceeded (current > 0)
+      const shouldConduct = vd > getForwardVoltage(d);
+      if (shouldConduct !== d.isConducting) {
+        d.isConducting = shouldConduct;
+        changed = true;
+      }
+    });
+    if (!changed) break;
+    V = buildAndSolve();
+  }
+
+  // 4. Update Component State
+  components.forEach((c) => {
+    if (isJunctionType(c.type)) return;
+    const n0 = terminalNodes.get(getTermKey(c, 0));
+    const n1 = terminalNodes.get(getTermKey(c, 1));
+    c.voltageDrop = V[n0] - V[n1];
+
+    // Component Current (terminal 0 -> terminal 1)
+    if (isSourceType(c.type)) {
+      // Delivered out of the + terminal
+      c.current = (getSourceVoltage(c) - c.voltageDrop) / c.resistance;
+    } else if (c.isBurntOut) {
+      c.current = c.voltageDrop / BURNT_OUT_RESISTANCE;
+    } else if (isDiodeType(c.type) && c.isConducting) {
+      c.current =
+        (c.voltageDrop - getForwardVoltage(c)) / getDiodeOnResistance(c);
+    } else if (c.type === "capacitor" && dt > 0) {
+      c.current = (c.capacitance / dt) * (c.voltageDrop - c.capVoltage);
+    } else {
+      c.current = c.voltageDrop / c.resistance;
+    }
+
+    if (c.type === "ammeter") {
+      c.isOverloaded = Math.abs(c.current) > AMMETER_OVERLOAD_CURRENT;
+    }
+
+    // Detect Short Circuit
+    // If connected (loop exists) and voltage drops significantly (e.g. < 0.5V for 1.5V battery)
+    // With internal resistance 0.1, a 0.5V drop implies Load R < 0.05 Ohm (Short)
+    if (c.type === "battery") {
+      // Check if battery is "active" (delivering current).
+      // If voltageDrop is close to 1.5 (or higher/negative), it's not shorted.
+      // Short means Voltage -> 0.
+      // We use threshold 0.8V per 1.5V of EMF to be safe (so it scales with
+      // 9V / lab supplies, and an empty battery isn't mistaken for a shorted one).
+      c.isShorted =
+        Math.abs(c.voltageDrop) < SHORT_CIRCUIT_RATIO * getBatteryVoltage(c);
+    }
+  });
+
+  // 5. Update Wires Current (For Animation)
+  // Wires have no resistance, so their currents come from KCL instead:
+  // every terminal pushes its component's current into its Node, and the
+  // wires of that Node carry it along a spanning tree.
+  updateWireCurrents(wires);
+
+  return { nodeVoltages: V, terminalNodes };
+}
+
+// Opens the fuse / breaker most over its rating after a solve and returns
+// it (null if none). One at a time: once it opens, the others in that loop
+// may no longer be overloaded, so solve again and repeat.
+function tripOverloadedProtector(components) {
+  let worst = null;
+  components.forEach((c) => {
+    if (!isProtectorType(c.type) || c.isTripped) return;
+    if (Math.abs(c.current) <= PROTECTOR_RATING) return;
+    if (!worst || Math.abs(c.current) > Math.abs(worst.current)) worst = c;
+  });
+  if (worst) {
+    worst.isTripped = true;
+    worst.tripCurrent = Math.abs(worst.current);
+  }
+  return worst;
+}
+
+// Ends a transient time step: each capacitor keeps the voltage it reached.
+// Separate from solveCircuit() so a step can be re-solved (e.g. after a
+// fuse trips) from the same starting charge.
+function advanceCapacitors(components) {
+  components.forEach((c) => {
+    if (c.type === "capacitor") c.capVoltage = c.voltageDrop;
+  });
+}
+
+// EMF of a battery: constant, or sagging with charge in Realistic Mode
+// (charge only drains there, and leaving the mode refills every battery)
+function getBatteryVoltage(c) {
+  const soc = c.charge / BATTERY_CAPACITY;
+  // Gentle sag while healthy, steep fall over the last 20%
+  return c.voltage * (0.8 + 0.2 * soc) * Math.min(1, soc * 5);
+}
+
+
+function getForwardVoltage(c) {
+  return c.type === "led" ? LED_FORWARD_VOLTAGE : DIODE_FORWARD_VOLTAGE;
+}
+
+function getDiodeOnResistance(c) {
+  return c.type === "led" ? LED_ON_RESISTANCE : DIODE_ON_RESISTANCE;
+}
+
+// Current each terminal pushes INTO the wires attached to it
+function getTerminalInjection(c, tid) {
+  if (isJunctionType(c.type)) return 0; // Passes wire current straight on
+  // Source current is measured out of its + terminal (0); for everything
+  // else it flows from terminal 0 through the component to terminal 1.
+  const sign = isSourceType(c.type) ? 1 : -1;
+  return tid === 0 ? sign * c.current : -sign * c.current;
+}
+
+function updateWireCurrents(wires) {
+  // Adjacency: terminal key -> [{ wire, other, forward }]
+  const adjacency = new Map();
+  const link = (a, b, wire, forward) => {
+    if (!adjacency.has(a)) adjacency.set(a, []);
+    adjacency.get(a).push({ wire, other: b, forward });
+  };
+  const terminalOwner = new Map();
+  wires.forEach((w) => {
+    w.current = 0; // Wires closing a loop of wires carry nothing
+    const a = getTermKey(w.from.comp, w.from.terminalId);
+    const b = getTermKey(w.to.comp, w.to.terminalId);
+    terminalOwner.set(a, w.from);
+    terminalOwner.set(b, w.to);
+    link(a, b, w, true);
+    link(b, a, w, false);
+  });
+
+  const visited = new Set();
+  adjacency.forEach((_, rootKey) => {
+    if (visited.has(rootKey)) return;
+
+    // Depth-first spanning tree, remembering how each terminal was reached
+    const order = [];
+    const parentEdge = new Map();
+    const stack = [rootKey];
+    visited.add(rootKey);
+    while (stack.length > 0) {
+      const key = stack.pop();
+      order.push(key);
+      adjacency.get(key).forEach((edge) => {
+        if (visited.has(edge.other)) return;
+        visited.add(edge.other);
+        parentEdge.set(edge.other, edge);
+        stack.push(edge.other);
+      });
+    }
+
+    // Leaves first: current in a tree wire = everything injected below it
+    const subtotal = new Map();
+    for (let i = order.length - 1; i > 0; i--) {
+      const key = order[i];
+      const t = terminalOwner.get(key);
+      const total =
+        (subtotal.get(key) || 0) + getTerminalInjection(t.comp, t.terminalId);
+      const edge = parentEdge.get(key);
+      // edge was followed parent -> child; flow here is child -> parent
+      edge.wire.current = edge.forward ? -total : total;
+      const parentKey = getTermKey(
+        edge.forward ? edge.wire.from.comp : edge.wire.to.comp,
+        edge.forward ? edge.wire.from.terminalId : edge.wire.to.terminalId
+      );
+      subtotal.set(parentKey, (subtotal.get(parentKey) || 0) + total);
+    }
+  });
+}
+
+// Sparse Gaussian Elimination Solver
+// A: array of Map(col -> value) rows, symmetric positive definite (a nodal
+// conductance matrix), so no row pivoting is needed. Nodes are eliminated
+// in minimum-degree order, which keeps fill-in (and cost) low on the
+// chain/ladder-like graphs that circuits produce.
+function solveSparse(A, b) {
+  const n = A.length;
+  const eliminated = new Uint8Array(n);
+  const order = [];
+
+  // Forward Elimination
+  for (let step = 0; step < n; step++) {
+    // Pick the remaining node with the fewest connections
+    let i = -1;
+    for (let k = 0; k < n; k++) {
+      if (!eliminated[k] && (i === -1 || A[k].size < A[i].size)) i = k;
+    }
+    eliminated[i] = 1;
+    order.push(i);
+
+    const pivot = A[i].get(i) || 0;
+    if (Math.abs(pivot) < 1e-10) continue; // Singular or 0
+
+    A[i].forEach((aji, j) => {
+      if (j === i || eliminated[j]) return;
+      const factor = aji / pivot; // Symmetric: A[j][i] === A[i][j]
+      A[i].forEach((aik, k) => {
+        if (k === i || eliminated[k]) return;
+        A[j].set(k, (A[j].get(k) || 0) - factor * aik);
+      });
+      A[j].delete(i);
+      b[j] -= factor * b[i];
+    });
+  }
+
+  // Back Substitution (row i now only references nodes eliminated after it)
+  const x = new Float64Array(n);
+  for (let s = n - 1; s >= 0; s--) {
+    const i = order[s];
+    const pivot = A[i].get(i) || 0;
+    if (Math.abs(pivot) < 1e-10) {
+      x[i] = 0; // Free variable -> 0
+      continue;
+    }
+    let sum = 0;
+    A[i].forEach((aik, k) => {
+      if (k !== i) sum += aik * x[k];
+    });
+    x[i] = (b[i] - sum) / pivot;
+  }
+  return x;
+}
+
+// ---------------------------------------------------------
+// Circuit Analysis Logic
+// ---------------------------------------------------------
+class CircuitAnalyzer {
+  static analyze(allComponents, wires) {
+    // Junctions are just Nodes: they join wires but are not graph edges
+    const components = allComponents.filter((c) => !isJunctionType(c.type));
+    if (components.length === 0)
+      return { isValid: false, message: "沒有放置任何元件" };
+
+    // 1. Build Graph (Node -> Components)
+    const nodeMap = new Map(); // NodeID -> List of {comp, terminalId}
+    const componentConnections = new Map(); // CompID -> Set of NodeIDs
+
+    // Assign Node IDs based on connected terminals
+    // Same Disjoint Set (Union-Find) node discovery as the simulation.
+    const find = groupTerminals(allComponents, wires);
+
+    // Map Components to their Nodes
+    components.forEach((c) => {
+      const n0 = find(`${c.id}-0`);
+      const n1 = find(`${c.id}-1`);
+      componentConnections.set(c.id, { n0, n1, type: c.type, comp: c });
+    });
+
+    // Helper: Get components of specific type
+    const batts = components.filter((c) => isSourceType(c.type));
+    const bulbs = components.filter((c) => c.type === "bulb");
+    const motors = components.filter((c) => c.type === "motor");
+
+    return {
+      batts,
+      bulbs,
+      motors,
+      componentConnections,
+      checkSeries: (comps) => this.checkSeries(comps, componentConnections),
+      checkParallel: (comps) => this.checkParallel(comps, componentConnections),
+      findMisplaced: (comps, relation) =>
+        this.findMisplaced(comps, relation, componentConnections),
+      decompose: () => this.decompose(components, componentConnections),
+    };
+  }
+
+  // Check if components are in Series
+  // Definition: They form a single path. Each component shares a node with the previous one,
+  // and that node has degree 2 (only those two components connected).
+  static checkSeries(comps, connMap) {
+    if (comps.length < 2) return true; // Single component is trivially series with itself? Or meaningless.
+
+    // A simple series chain means:
+    // C1 --(n1)-- C2 --(n2)-- C3
+    // Nodes n1, n2 must only connect these specific components.
+
+    // Let's create a subgraph of just these components.
+    // Count degree of each node considering ONLY these components.
+    const nodeDegree = new Map();
+    comps.forEach((c) => {
+      const { n0, n1 } = connMap.get(c.id);
+      nodeDegree.set(n0, (nodeDegree.get(n0) || 0) + 1);
+      nodeDegree.set(n1, (nodeDegree.get(n1) || 0) + 1);
+    });
+
+    // In a line of N components:
+    // 2 End nodes have degree 1
+    // (N-1) Internal nodes have degree 2
+    let ends = 0;
+    let mids = 0;
+    for (let d of nodeDegree.values()) {
+      if (d === 1) ends++;
+      else if (d === 2) mids++;
+      else return false; // Branching or loops
+    }
+
+    return ends === 2 && mids === comps.length - 1;
+  }
+
+  // Check if components are in Parallel
+  // Definition: All components share the exact same two nodes.
+  static checkParallel(comps, connMap) {
+    if (comps.length < 2) return true;
+
+    const first = connMap.get(comps[0].id);
+    const nA = first.n0;
+    const nB = first.n1;
+
+    // All others must have {n0, n1} match {nA, nB} (order irrelevant)
+    for (let i = 1; i < comps.length; i++) {
+      const c = connMap.get(comps[i].id);
+      const match =
+        (c.n0 === nA && c.n1 === nB) || (c.n0 === nB && c.n1 === nA);
+      if (!match) return false;
+    }
+    return true;
+  }
+
+  // The members of comps that break the wanted relation ("series" or
+  // "parallel"), judged from the two Nodes each one sits between.
+  static findMisplaced(comps, relation, connMap) {
+    if (comps.length < 2) return [];
+    const pairKey = (c) => {
+      const { n0, n1 } = connMap.get(c.id);
+      return n0 < n1 ? `${n0}|${n1}` : `${n1}|${n0}`;
+    };
+
+    if (relation === "parallel") {
+      // Everyone belongs across the Node pair most of them already share
+      const byPair = new Map();
+      comps.forEach((c) => {
+        const key = pairKey(c);
+        if (!byPair.has(key)) byPair.set(key, []);
+        byPair.get(key).push(c);
+      });
+      const largest = [...byPair.values()].reduce((a, b) =>
+        b.length > a.length ? b : a
+      );
+      return largest.length > 1
+        ? comps.filter((c) => !largest.includes(c))
+        : comps.slice();
+    }
+
+    // Series: no two members across the same Node pair, and each one
+    // shares a Node with the rest of the chain
+    const nodeDegree = new Map();
+    comps.forEach((c) => {
+      const { n0, n1 } = connMap.get(c.id);
+      [n0, n1].forEach((n) => nodeDegree.set(n, (nodeDegree.get(n) || 0) + 1));
+    });
+    const misplaced = comps.filter((c) => {
+      const { n0, n1 } = connMap.get(c.id);
+      const isParallel = comps.some(
+        (other) => other !== c && pairKey(other) === pairKey(c)
+      );
+      const isDetached = nodeDegree.get(n0) === 1 && nodeDegree.get(n1) === 1;
+      return isParallel || isDetached;
+    });
+    if (misplaced.length > 0) return misplaced;
+    // Otherwise the chain branches: blame the parts at the branch Nodes
+    return comps.filter((c) => {
+      const { n0, n1 } = connMap.get(c.id);
+      return nodeDegree.get(n0) > 2 || nodeDegree.get(n1) > 2;
+    });
+  }
+
+  // ---------------------------------------------------------
+  // Series-Parallel Decomposition
+  // ---------------------------------------------------------
+  // Reduces the circuit graph (Nodes = vertices, components = edges) into a
+  // tree of groups:
+  //   { kind: "component", comp } | { kind: "series" | "parallel", children }
+  // The battery bank ("source") and everything it powers ("load") are
+  // reduced separately between the two Nodes where they meet, so a battery
+  // is never mistaken for a branch in parallel with its own load.
+  static decompose(components, connMap) {
+    const result = {
+      source: null,
+      load: null,
+      dangling: [], // Components not on any closed loop
+      shorted: [], // Components with both ends on the same Node
+      isReducible: false,
+    };
+
+    const toEdge = (c) => {
+      const { n0, n1 } = connMap.get(c.id);
+      return { a: n0, b: n1, tree: { kind: "component", comp: c } };
+    };
+
+    // 1. Prune dead ends and shorted components
+    const pruned = this.reduceSeriesParallel(
+      components.map(toEdge),
+      new Set(),
+      true
+    );
+    result.dangling = pruned.dangling.flatMap((t) => this.collectComponents(t));
+    result.shorted = pruned.shorted.flatMap((t) => this.collectComponents(t));
+
+    const isBattEdge = (e) => isSourceType(e.tree.comp.type);
+    const battEdges = pruned.edges.filter(isBattEdge);
+    const loadEdges = pruned.edges.filter((e) => !isBattEdge(e));
+    if (battEdges.length === 0 || loadEdges.length === 0) return result;
+
+    // 2. Ports: Nodes where the battery bank meets the load
+    const battNodes = new Set(battEdges.flatMap((e) => [e.a, e.b]));
+    const ports = new Set(
+      loadEdges.flatMap((e) => [e.a, e.b]).filter((n) => battNodes.has(n))
+    );
+
+    if (ports.size === 2) {
+      const source = this.reduceSeriesParallel(battEdges, ports);
+      const load = this.reduceSeriesParallel(loadEdges, ports);
+      if (source.edges.length === 1 && load.edges.length === 1) {
+        result.source = source.edges[0].tree;
+        result.load = load.edges[0].tree;
+        result.isReducible = true;
+        return result;
+      }
+    }
+
+    // 3. Fallback (batteries mixed in among loads): cut the loop at the
+    // first battery and reduce everything else between its two Nodes.
+    const first = battEdges[0];
+    const others = pruned.edges.filter((e) => e !== first);
+    const load = this.reduceSeriesParallel(
+      others,
+      new Set([first.a, first.b])
+    );
+    if (load.edges.length === 1) {
+      result.source = first.tree;
+      result.load = load.edges[0].tree;
+      result.isReducible = true;
+    }
+    return result;
+  }
+
+  // Repeatedly applies series / parallel merges to a list of edges
+  // { a, b, tree }. Port Nodes are never merged away.
+  // pruneOnly: just strip dead ends and self-loops.
+  static reduceSeriesParallel(edges, ports, pruneOnly = false) {
+    edges = edges.slice();
+    const dangling = [];
+    const shorted = [];
+
+    // Merging into a group of the same kind flattens it: S(S(a,b),c) = S(a,b,c)
+    const group = (kind, trees) => ({
+      kind,
+      children: trees.flatMap((t) => (t.kind === kind ? t.children : [t])),
+    });
+    const remove = (list) => {
+      edges = edges.filter((e) => !list.includes(e));
+    };
+
+    let changed = true;
+    while (changed) {
+      changed = false;
+
+      // A. Self-loops: both ends on one Node (shorted out)
+      const loop = edges.find((e) => e.a === e.b);
+      if (loop) {
+        shorted.push(loop.tree);
+        remove([loop]);
+        changed = true;
+        continue;
+      }
+
+      const incident = new Map(); // Node -> [edges]
+      edges.forEach((e) => {
+        [e.a, e.b].forEach((n) => {
+          if (!incident.has(n)) incident.set(n, []);
+          incident.get(n).push(e);
+        });
+      });
+
+      // B. Dead ends: a Node with only one edge cannot carry current
+      for (const [node, list] of incident) {
+        if (!ports.has(node) && list.length === 1) {
+          dangling.push(list[0].tree);
+          remove(list);
+          changed = true;
+          break;
+        }
+      }
+      if (changed || pruneOnly) continue;
+
+      // C. Parallel: several edges across the same pair of Nodes
+      const byPair = new Map();
+      edges.forEach((e) => {
+        const key = e.a < e.b ? `${e.a}|${e.b}` : `${e.b}|${e.a}`;
+        if (!byPair.has(key)) byPair.set(key, []);
+        byPair.get(key).push(e);
+      });
+      for (const list of byPair.values()) {
+        if (list.length > 1) {
+          remove(list);
+          edges.push({
+            a: list[0].a,
+            b: list[0].b,
+            tree: group("parallel", list.map((e) => e.tree)),
+          });
+          changed = true;
+          break;
+        }
+      }
+      if (changed) continue;
+
+      // D. Series: a Node joining exactly two edges (and nothing else)
+      for (const [node, list] of incident) {
+        if (!ports.has(node) && list.length === 2) {
+          const [e1, e2] = list;
+          remove(list);
+          edges.push({
+            a: e1.a === node ? e1.b : e1.a,
+            b: e2.a === node ? e2.b : e2.a,
+            tree: group("series", [e1.tree, e2.tree]),
+          });
+          changed = true;
+          break;
+        }
+      }
+    }
+
+    return { edges, dangling, shorted };
+  }
+
+  static collectComponents(tree) {
+    if (!tree) return [];
+    if (tree.kind === "component") return [tree.comp];
+    return tree.children.flatMap((t) => this.collectComponents(t));
+  }
+
+  // Canonical shape string, e.g. "S(P(bulb,bulb),bulb)".
+  // Children are sorted, so any wiring order gives the same string.
+  static getShape(tree) {
+    if (!tree) return "";
+    if (tree.kind === "component") return tree.comp.type;
+    const inner = tree.children.map((t) => this.getShape(t)).sort();
+    return `${tree.kind === "series" ? "S" : "P"}(${inner.join(",")})`;
+  }
+
+  // Human readable form, e.g. "(燈泡 並聯 燈泡) 串聯 燈泡"
+  static describe(tree, isNested = false) {
+    if (!tree) return "";
+    if (tree.kind === "component") {
+      return COMPONENT_NAMES[tree.comp.type] || tree.comp.type;
+    }
+    const joiner = tree.kind === "series" ? " 串聯 " : " 並聯 ";
+    const text = tree.children.map((t) => this.describe(t, true)).join(joiner);
+    return isNested ? `(${text})` : text;
+  }
+}
+
+// ---------------------------------------------------------
+// Custom Materials
+// ---------------------------------------------------------
+const CUSTOM_MATERIAL_PREFIX = "custom-"; // Part types of teachers' materials
+
+function isCustomMaterialType(type) {
+  return typeof type === "string" && type.startsWith(CUSTOM_MATERIAL_PREFIX);
+}
+
+// Checks a teacher's material ({ name, icon, resistance }) before it is
+// added; throws an Error saying what to fix.
+function validateMaterial(def) {
+  if (!def || typeof def !== "object") throw new Error("材料資料格式不對");
+  const name = typeof def.name === "string" ? def.name.trim() : "";
+  if (!name) throw new Error("請輸入材料名稱");
+  if ([...name].length > MATERIAL_NAME_MAX_LENGTH) {
+    throw new Error(`材料名稱最多 ${MATERIAL_NAME_MAX_LENGTH} 個字`);
+  }
+  const icon = typeof def.icon === "string" ? def.icon.trim() : "";
+  if (!icon || [...icon].length > 4) {
+    throw new Error("圖示請填一個表情符號，例如 🍋");
+  }
+  const r = def.resistance;
+  if (typeof r !== "number" || !(r >= 0) || r > INSULATOR_RESISTANCE) {
+    throw new Error(`電阻要是 0 到 ${INSULATOR_RESISTANCE} Ω 之間的數字`);
+  }
+}
+
+// Registers a material under a new part type (e.g. "custom-1700000000")
+function addMaterial(type, def) {
+  validateMaterial(def);
+  MATERIALS[type] = {
+    name: def.name.trim(),
+    icon: def.icon.trim(),
+    // 0 would divide by zero in the solver: use an ideal conductor instead
+    resistance: Math.max(def.resistance, CONDUCTOR_RESISTANCE),
+  };
+  COMPONENT_NAMES[type] = MATERIALS[type].name;
+}
+
+function removeMaterial(type) {
+  delete MATERIALS[type];
+  delete COMPONENT_NAMES[type];
+}
+
+// ---------------------------------------------------------
+// Tutorial Conditions
+// ---------------------------------------------------------
+// A tutorial step is finished once its `done` condition holds on the live
+// circuit. Conditions are plain JSON so walkthroughs can be written by hand:
+//   { placed: "bulb", count: 2 }          at least 2 bulbs on the board
+//   { connected: ["battery.0", "bulb"] }  the two ends share a node
+//                                         ("bulb" alone = any of its terminals)
+//   { closed: "switch" }                  some switch is closed
+//   { flowing: "bulb" }                   some bulb carries current
+//   { all: [condition, ...] }             every listed condition holds
+const TUTORIAL_CONDITION_KEYS = [
+  "placed",
+  "connected",
+  "closed",
+  "flowing",
+  "all",
+];
+const TUTORIAL_MIN_CURRENT = 0.001; // A, less than this counts as no current
+
+// "battery.0" -> { type: "battery", terminalId: 0 }; no suffix = any terminal
+function parseTerminalRef(ref) {
+  const [type, tid] = String(ref).split(".");
+  return { type, terminalId: tid === undefined ? null : Number(tid) };
+}
+
+function findTerminalRefs(components, ref) {
+  const { type, terminalId } = parseTerminalRef(ref);
+  const matches = [];
+  components.forEach((c) => {
+    if (c.type !== type) return;
+    c.terminals.forEach((t) => {
+      if (terminalId === null || t.id === terminalId) {
+        matches.push({ comp: c, terminalId: t.id });
+      }
+    });
+  });
+  return matches;
+}
+
+function checkTutorialCondition(condition, components, wires) {
+  if (condition.all) {
+    return condition.all.every((c) =>
+      checkTutorialCondition(c, components, wires)
+    );
+  }
+  if (condition.placed) {
+    const placed = components.filter((c) => c.type === condition.placed);
+    return placed.length >= (condition.count || 1);
+  }
+  if (condition.connected) {
+    // Junctions stay in, so a path through a junction still counts
+    const findNode = groupTerminals(components, wires);
+    const nodeOf = (t) => findNode(getTermKey(t.comp, t.terminalId));
+    const [ends, others] = condition.connected.map((ref) =>
+      findTerminalRefs(components, ref)
+    );
+    return ends.some((a) =>
+      others.some((b) => a.comp !== b.comp && nodeOf(a) === nodeOf(b))
+    );
+  }
+  if (condition.closed) {
+    return components.some(
+      (c) => c.type === condition.closed && !c.isSwitchOpen
+    );
+  }
+  if (condition.flowing) {
+    return components.some(
+      (c) =>
+        c.type === condition.flowing &&
+        Math.abs(c.current) > TUTORIAL_MIN_CURRENT
+    );
+  }
+  return false;
+}
+
+// Checks a hand-written walkthrough before it is used.
+// Throws an Error describing the first problem found.
+function validateTutorial(script) {
+  const isType = (type) =>
+    typeof type === "string" && type in COMPONENT_NAMES;
+  const isTerminalRef = (ref) => {
+    const { type, terminalId } = parseTerminalRef(ref);
+    if (!isType(type)) return false;
+    const terminalCount = isJunctionType(type) ? 1 : 2;
+    return (
+      terminalId === null ||
+      (Number.isInteger(terminalId) &&
+        terminalId >= 0 &&
+        terminalId < terminalCount)
+    );
+  };
+  const checkCondition = (condition, where) => {
+    const isObject = condition && typeof condition === "object";
+    const kind = isObject
+      ? Object.keys(condition).find((k) => TUTORIAL_CONDITION_KEYS.includes(k))
+      : undefined;
+    if (!kind) throw new Error(`${where}缺少完成條件`);
+    const value = condition[kind];
+    if (kind === "all") {
+      if (!Array.isArray(value) || value.length === 0) {
+        throw new Error(`${where}的 all 必須是條件清單`);
+      }
+      value.forEach((c) => checkCondition(c, where));
+    } else if (kind === "connected") {
+      if (!Array.isArray(value) || value.length !== 2) {
+        throw new Error(`${where}的 connected 必須列出兩個接點`);
+      }
+      value.forEach((ref) => {
+        if (!isTerminalRef(ref)) {
+          throw new Error(`${where}的接點「${ref}」不存在`);
+        }
+      });
+    } else if (!isType(value)) {
+      throw new Error(`${where}的元件「${value}」不存在`);
+    }
+  };
+
+  if (!script || typeof script.title !== "string" || !script.title) {
+    throw new Error("教學缺少標題 (title)");
+  }
+  if (!Array.isArray(script.steps) || script.steps.length === 0) {
+    throw new Error("教學沒有任何步驟 (steps)");
+  }
+  script.steps.forEach((step, i) => {
+    const where = `第 ${i + 1} 步`;
+    if (typeof step.text !== "string" || !step.text) {
+      throw new Error(`${where}缺少說明文字 (text)`);
+    }
+    checkCondition(step.done, where);
+    const target = step.target;
+    if (target === undefined) return;
+    const ok =
+      (target.toolbox !== undefined && isType(target.toolbox)) ||
+      (target.component !== undefined && isType(target.component)) ||
+      (target.terminal !== undefined && isTerminalRef(target.terminal));
+    if (!ok) throw new Error(`${where}的提示目標 (target) 無法辨識`);
+  });
+}
+
+// ---------------------------------------------------------
+// Circuit Files (Save / Load / Share)
+// ---------------------------------------------------------
+// Versioned JSON layout written by serializeCircuit() in electric01.js:
+// { format, version, components: [{ id, type, x, y, rotation, ... }],
+//   wires: [{ from: { id, terminal }, to: { id, terminal } }] }
+const CIRCUIT_FORMAT = "electric01-circuit";
+const CIRCUIT_FORMAT_VERSION = 1;
+
+// Checks a saved / shared circuit before anything is built from it.
+// Throws an Error describing the first problem found. Returns the
+// teachers' materials the file brings that aren't registered yet
+// (Map type -> { name, icon, resistance }), for the caller to add.
+function validateCircuitData(data) {
+  if (
+    !data ||
+    data.format !== CIRCUIT_FORMAT ||
+    !Array.isArray(data.components) ||
+    !Array.isArray(data.wires)
+  ) {
+    throw new Error("這不是電路存檔");
+  }
+  if (data.version > CIRCUIT_FORMAT_VERSION) {
+    throw new Error("存檔版本比網頁新，請重新整理網頁後再試");
+  }
+
+  const materials = new Map();
+  const terminalCounts = new Map(); // Saved id -> number of terminals
+  data.components.forEach((d) => {
+    if (isCustomMaterialType(d.type) && !isMaterialType(d.type) && d.material) {
+      validateMaterial(d.material);
+      materials.set(d.type, d.material);
+    } else if (typeof COMPONENT_NAMES[d.type] !== "string") {
+      throw new Error(`未知的元件：${d.type}`);
+    }
+    terminalCounts.set(d.id, isJunctionType(d.type) ? 1 : 2);
+  });
+  const checkEnd = (ref) => {
+    const count = ref ? terminalCounts.get(ref.id) : 0;
+    const terminal = ref && ref.terminal;
+    const isValid =
+      count > 0 &&
+      Number.isInteger(terminal) &&
+      terminal >= 0 &&
+      terminal < count;
+    if (!isValid) throw new Error("電線連到不存在的接點");
+  };
+  data.wires.forEach((w) => {
+    checkEnd(w.from);
+    checkEnd(w.to);
+  });
+  return materials;
+}
+
+// Compact form for URL fragments:
+// { v, c: [[type, x, y, rotation, extra?]], w: [[fromId, fromT, toId, toT]] }
+// extra = switch open (1/0), resistor ohms, fuse / breaker tripped (1/0),
+// a teacher's material { name, icon, resistance }, or for a non-standard
+// battery [batteryType, voltage, internal ohms].
+function encodeCircuitForUrl(data) {
+  const compact = {
+    v: data.version,
+    c: data.components.map((d) => {
+      const entry = [d.type, d.x, d.y, d.rotation];
+      if (d.type === "switch") entry.push(d.isSwitchOpen ? 1 : 0);
+      if (d.type === "resistor") entry.push(d.resistance);
+      if (isProtectorType(d.type)) entry.push(d.isTripped ? 1 : 0);
+      if (d.material) entry.push(d.material);
+      if (
+        d.type === "battery" &&
+        (d.batteryType !== "aa" || d.resistance !== BATTERY_RESISTANCE)
+      ) {
+        entry.push([d.batteryType, d.voltage, d.resistance]);
+      }
+      return entry;
+    }),
+    w: data.wires.map((w) => [w.from.id, w.from.terminal, w.to.id, w.to.terminal]),
+  };
+  // btoa() only takes Latin-1, material names are Chinese: go through UTF-8.
+  // base64url (no padding) keeps the fragment link-safe.
+  const bytes = new TextEncoder().encode(JSON.stringify(compact));
+  return btoa(Array.from(bytes, (b) => String.fromCharCode(b)).join(""))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+function decodeCircuitFromUrl(encoded) {
+  const base64 = encoded.replace(/-/g, "+").replace(/_/g, "/");
+  const bytes = Uint8Array.from(atob(base64), (ch) => ch.charCodeAt(0));
+  const compact = JSON.parse(new TextDecoder().decode(bytes));
+  return {
+    format: CIRCUIT_FORMAT,
+    version: compact.v,
+    components: compact.c.map(([type, x, y, rotation, extra], id) => {
+      const d = { id, type, x, y, rotation };
+      if (type === "switch") d.isSwitchOpen = extra !== 0;
+      if (type === "resistor") d.resistance = extra;
+      if (isProtectorType(type)) d.isTripped = extra === 1;
+      if (isCustomMaterialType(type) && extra) d.material = extra;
+      if (type === "battery" && Array.isArray(extra)) {
+        [d.batteryType, d.voltage, d.resistance] = extra;
+      }
+      return d;
+    }),
+    wires: compact.w.map(([fromId, fromT, toId, toT]) => ({
+      from: { id: fromId, terminal: fromT },
+      to: { id: toId, terminal: toT },
+    })),
+  };
+}
+
+// Text from a file or link, made safe for innerHTML (modals, SVG export)
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// ---------------------------------------------------------
+// SPICE Netlist Import
+// ---------------------------------------------------------
+// Element names carry the lab part (RBULB1, DLED1, ...) so a netlist the
+// lab exported imports back as the same parts.
+const SPICE_TAGS = {
+  bulb: "BULB",
+  motor: "MOTOR",
+  ammeter: "AMMETER",
+  voltmeter: "VOLTMETER",
+  paperclip: "PAPERCLIP",
+  coin: "COIN",
+  eraser: "ERASER",
+  lego: "LEGO",
+  fuse: "FUSE",
+  breaker: "BREAKER",
+  coil: "COIL",
+  ldr: "LDR",
+  buzzer: "BUZZER",
+  pencil: "PENCIL",
+  foil: "FOIL",
+  saltwater: "SALTWATER",
+  glass: "GLASS",
+  wood: "WOOD",
+  key: "KEY",
+};
+const SPICE_SUFFIXES = {
+  t: 1e12,
+  g: 1e9,
+  meg: 1e6,
+  k: 1e3,
+  m: 1e-3,
+  u: 1e-6,
+  n: 1e-9,
+  p: 1e-12,
+  f: 1e-15,
+};
+const NETLIST_SPACING_X = 180;
+const NETLIST_SPACING_Y = 160;
+const NETLIST_MAX_STACKED_CELLS = 4; // Up to 6V is built from 1.5V cells
+
+function parseSpiceValue(token) {
+  const match = /^([-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?)(meg|[tgkmunpf])?/i.exec(
+    token || ""
+  );
+  if (!match) throw new Error(`看不懂的數值：${token}`);
+  const scale = match[2] ? SPICE_SUFFIXES[match[2].toLowerCase()] : 1;
+  return parseFloat(match[1]) * scale;
+}
+
+// SPICE conventions: first line is the title, '+' continues a line,
+// '*' starts a comment, ';' an inline comment, names are case-insensitive.
+function parseNetlist(text) {
+  const lines = [];
+  text
+    .split(/\r?\n/)
+    .slice(1)
+    .forEach((raw) => {
+      const line = raw.replace(/;.*$/, "").trim();
+      if (!line || line.startsWith("*")) return;
+      if (line.startsWith("+") && lines.length > 0) {
+        lines[lines.length - 1] += " " + line.slice(1);
+      } else {
+        lines.push(line);
+      }
+    });
+
+  const elements = [];
+  const models = new Map();
+  for (const line of lines) {
+    const upper = line.toUpperCase();
+    if (upper.startsWith(".END")) break;
+    if (upper.startsWith(".MODEL")) {
+      const match = /^\.MODEL\s+(\S+)\s+(\w+)\s*\(?([^)]*)\)?/.exec(upper);
+      if (!match) continue;
+      const params = {};
+      match[3].replace(/(\w+)\s*=\s*([^\s,]+)/g, (_, key, value) => {
+        params[key] = value;
+      });
+      models.set(match[1], { type: match[2], params });
+      continue;
+    }
+    if (upper.startsWith(".")) continue; // Analyses and options
+
+    const tokens = upper.split(/[\s,()]+/).filter(Boolean);
+    if (tokens.length === 0) continue; // Only separators, e.g. "( )"
+    const name = tokens[0];
+    const letter = name[0];
+    if (!"VRCDS".includes(letter)) {
+      throw new Error(`不支援的元件：${name}（只接受 V、R、C、D、S）`);
+    }
+    if (tokens.length < 4) throw new Error(`這一行不完整：${line}`);
+
+    const element = { name, letter, nodes: [tokens[1], tokens[2]] };
+    if (letter === "V") {
+      element.value = parseSpiceValue(tokens[3] === "DC" ? tokens[4] : tokens[3]);
+    } else if (letter === "R" || letter === "C") {
+      element.value = parseSpiceValue(tokens[3]);
+    } else if (letter === "D") {
+      element.model = tokens[3];
+    } else {
+      if (tokens.length < 6) throw new Error(`開關需要控制節點與模型：${line}`);
+      element.control = [tokens[3], tokens[4]];
+      element.model = tokens[5];
+    }
+    elements.push(element);
+  }
+  return { elements, models };
+}
+
+// Picks the lab part for a resistor: tagged name first, then its value
+function getResistorPartType(element) {
+  const label = element.name.slice(1);
+  const tagged = Object.keys(SPICE_TAGS).find((type) =>
+    label.startsWith(SPICE_TAGS[type])
+  );
+  if (tagged) return tagged;
+  if (element.value <= CONDUCTOR_RESISTANCE * 1000) return "paperclip";
+  if (element.value >= INSULATOR_RESISTANCE / 10) return "eraser";
+  return "resistor";
+}
+
+function getNearestResistorValue(ohms) {
+  return RESISTOR_VALUES.reduce((best, r) =>
+    Math.abs(Math.log(r / ohms)) < Math.abs(Math.log(best / ohms)) ? r : best
+  );
+}
+
+// Lab parts for a netlist: [{ type, nodes: [n0, n1], ...settings }] with
+// the node names from the file. Battery internal resistors are folded into
+// their cells, so their private nodes disappear.
+function netlistToParts(text) {
+  const { elements, models } = parseNetlist(text);
+  if (elements.length === 0) throw new Error("找不到任何元件");
+
+  // Battery internal resistances (R<source name>) fold back into the cell
+  const parent = new Map();
+  const find = (n) => {
+    if (!parent.has(n)) parent.set(n, n);
+    if (parent.get(n) !== n) parent.set(n, find(parent.get(n)));
+    return parent.get(n);
+  };
+  const sources = new Set(
+    elements.filter((e) => e.letter === "V").map((e) => e.name)
+  );
+  const internalR = new Map(
+    elements
+      .filter((e) => e.letter === "R" && sources.has(e.name.slice(1)))
+      .map((e) => [e.name.slice(1), e.value])
+  );
+
+  const parts = [];
+  elements.forEach((e) => {
+    const [a, b] = e.nodes;
+    if (e.letter === "R" && sources.has(e.name.slice(1))) {
+      parent.set(find(a), find(b));
+    } else if (e.letter === "V" && e.name.startsWith("VSOLAR")) {
+      // Solar cells take their EMF from the sunlight slider, not the file
+      const [plus, minus] = e.value < 0 ? [b, a] : [a, b];
+      parts.push({ type: "solar", nodes: [plus, minus] });
+    } else if (e.letter === "V") {
+      const [plus, minus] = e.value < 0 ? [b, a] : [a, b];
+      const emf = Math.abs(e.value);
+      const r = internalR.has(e.name)
+        ? internalR.get(e.name)
+        : BATTERY_RESISTANCE;
+      const cells = Math.round(emf / BATTERY_VOLTAGE);
+      if (
+        cells >= 1 &&
+        cells <= NETLIST_MAX_STACKED_CELLS &&
+        Math.abs(emf - cells * BATTERY_VOLTAGE) < 1e-6
+      ) {
+        // Whole number of lab cells: stack them in series
+        for (let k = 0; k < cells; k++) {
+          parts.push({
+            type: "battery",
+            nodes: [
+              k === 0 ? plus : `${e.name}#${k}`,
+              k === cells - 1 ? minus : `${e.name}#${k + 1}`,
+            ],
+            batteryType: "aa",
+            voltage: BATTERY_VOLTAGE,
+            resistance: r / cells,
+          });
+        }
+      } else {
+        // Anything else is one 9V battery or a lab supply set to the value
+        if (emf > LAB_SUPPLY_MAX_VOLTAGE) {
+          throw new Error(
+            `${e.name} 的電壓 ${emf}V 超過可調電源上限 ${LAB_SUPPLY_MAX_VOLTAGE}V`
+          );
+        }
+        parts.push({
+          type: "battery",
+          nodes: [plus, minus],
+          batteryType: emf === BATTERY_TYPES["9v"].voltage ? "9v" : "lab",
+          voltage: emf,
+          resistance: r,
+        });
+      }
+    } else if (e.letter === "R") {
+      const type = getResistorPartType(e);
+      const part = { type, nodes: [a, b] };
+      if (type === "resistor") part.resistance = getNearestResistorValue(e.value);
+      if (isProtectorType(type)) {
+        part.isTripped = e.value >= SWITCH_OPEN_RESISTANCE / 10;
+      }
+      parts.push(part);
+    } else if (e.letter === "C") {
+      // The lab has one capacitor size, whatever the file asks for
+      parts.push({ type: "capacitor", nodes: [a, b] });
+    } else if (e.letter === "D") {
+      const isLed = e.name.startsWith("DLED") || e.model.includes("LED");
+      parts.push({ type: isLed ? "led" : "diode", nodes: [a, b] });
+    } else {
+      // Closed only when the (tied) control voltage of 0 is above threshold
+      const model = models.get(e.model);
+      const vt = model && model.params.VT ? parseSpiceValue(model.params.VT) : 0;
+      const isTied = e.control[0] === e.control[1];
+      parts.push({ type: "switch", nodes: [a, b], isSwitchOpen: !(isTied && vt < 0) });
+    }
+  });
+  parts.forEach((p) => (p.nodes = p.nodes.map(find)));
+  return parts;
+}
+
+// Builds a save file (see validateCircuitData) from a netlist, laid out as
+// a loop in a board `width` px wide: parts are walked along the circuit and
+// placed left-to-right on one row, then right-to-left on the row below.
+function netlistToCircuit(text, width) {
+  const parts = netlistToParts(text);
+
+  // Walk the circuit: leave each part through its other node
+  const order = [];
+  const visited = new Set();
+  const visit = (part, enteredNode) => {
+    visited.add(part);
+    order.push(part);
+    const exitNode = part.nodes[0] === enteredNode ? part.nodes[1] : part.nodes[0];
+    [exitNode, enteredNode].forEach((n) =>
+      parts.forEach((p) => {
+        if (!visited.has(p) && p.nodes.includes(n)) visit(p, n);
+      })
+    );
+  };
+  const first = parts.find((p) => p.type === "battery") || parts[0];
+  visit(first, first.nodes[1]);
+  parts.forEach((p) => {
+    if (!visited.has(p)) visit(p, p.nodes[1]); // Unconnected pieces
+  });
+
+  const cols = Math.max(2, Math.floor((width - 60) / NETLIST_SPACING_X));
+  const placed = order.map((p, i) => {
+    const band = Math.floor(i / (cols * 2));
+    const j = i % (cols * 2);
+    const row = band * 2 + (j < cols ? 0 : 1);
+    const col = j < cols ? j : cols * 2 - 1 - j;
+    const d = {
+      id: i,
+      type: p.type,
+      x: 120 + col * NETLIST_SPACING_X,
+      y: 120 + row * NETLIST_SPACING_Y,
+      rotation: 0,
+    };
+    if (p.type === "switch") d.isSwitchOpen = p.isSwitchOpen;
+    if (p.type === "resistor") d.resistance = p.resistance;
+    if (isProtectorType(p.type)) d.isTripped = p.isTripped;
+    if (p.type === "battery") {
+      d.batteryType = p.batteryType;
+      d.voltage = p.voltage;
+      d.resistance = p.resistance;
+    }
+    return d;
+  });
+
+  // Chain the terminals on each node in layout order
+  const links = [];
+  const byNode = new Map();
+  order.forEach((p, id) =>
+    p.nodes.forEach((n, terminal) => {
+      if (!byNode.has(n)) byNode.set(n, []);
+      byNode.get(n).push({ id, terminal });
+    })
+  );
+  byNode.forEach((terms) => {
+    for (let i = 1; i < terms.length; i++) {
+      links.push({ from: terms[i - 1], to: terms[i] });
+    }
+  });
+
+  return {
+    format: CIRCUIT_FORMAT,
+    version: CIRCUIT_FORMAT_VERSION,
+    components: placed,
+    wires: links,
+  };
+}
+
+// ---------------------------------------------------------
+// Tidy Wiring
+// ---------------------------------------------------------
+// Scoring for the lab's tidy command, which routes every wire together.
+// Paths are lists of {x, y} points; the routing itself (PathFinder and the
+// parts on the canvas) stays in electric01.js.
+const TIDY_CROSSING_COST = 8; // Route cost of crossing another wire
+const TIDY_CHANNEL_COST = 40; // Route cost per cell alongside another wire
+const TIDY_PASSES = 3; // Rip-up-and-reroute rounds
+
+// Axis-aligned segments of a path (the short stubs at terminals aren't)
+function getPathSegments(path) {
+  const segments = [];
+  for (let i = 0; i < path.length - 1; i++) {
+    const a = path[i];
+    const b = path[i + 1];
+    if (a.x === b.x || a.y === b.y) segments.push([a, b]);
+  }
+  return segments;
+}
+
+// Crossings and shared length (px) between two routed paths
+function comparePaths(pathA, pathB) {
+  let crossings = 0;
+  let overlap = 0;
+  const within = (v, a, b) => v > Math.min(a, b) && v < Math.max(a, b);
+  getPathSegments(pathA).forEach(([a1, a2]) => {
+    const aFlat = a1.y === a2.y;
+    getPathSegments(pathB).forEach(([b1, b2]) => {
+      const bFlat = b1.y === b2.y;
+      if (aFlat !== bFlat) {
+        const [h1, h2, v1, v2] = aFlat ? [a1, a2, b1, b2] : [b1, b2, a1, a2];
+        if (within(v1.x, h1.x, h2.x) && within(h1.y, v1.y, v2.y)) {
+          crossings++;
+        }
+        return;
+      }
+      // Parallel: overlapping only on the same line
+      const key = aFlat ? "y" : "x";
+      const axis = aFlat ? "x" : "y";
+      if (a1[key] !== b1[key]) return;
+      const [aLo, aHi] = [a1[axis], a2[axis]].sort((m, n) => m - n);
+      const [bLo, bHi] = [b1[axis], b2[axis]].sort((m, n) => m - n);
+      const shared = Math.min(aHi, bHi) - Math.max(aLo, bLo);
+      if (shared > 0) overlap += shared;
+    });
+  });
+  return { crossings, overlap };
+}
+
+function getPathLength(path) {
+  let length = 0;
+  for (let i = 0; i < path.length - 1; i++) {
+    length += Math.abs(path[i + 1].x - path[i].x);
+    length += Math.abs(path[i + 1].y - path[i].y);
+  }
+  return length;
+}
+
+// Same units as the route costs: one per `cellSize` px travelled
+function scoreTidyPath(path, others, cellSize) {
+  let score = getPathLength(path) / cellSize;
+  others.forEach((other) => {
+    const { crossings, overlap } = comparePaths(path, other);
+    score += crossings * TIDY_CROSSING_COST;
+    score += (overlap / cellSize) * TIDY_CHANNEL_COST;
+  });
+  return score;
+}
+
+// Routes the wires in the given order, each with routeWire(wire, otherPaths)
+// around the ones before it, then takes each out in turn and routes it again
+// against all the others, keeping the new route only if it scores better.
+// Returns a Map wire -> path; the wires themselves are left as they are.
+function planTidyRoutes(wires, routeWire, cellSize) {
+  const paths = new Map();
+  wires.forEach((wire) => {
+    paths.set(wire, routeWire(wire, [...paths.values()]));
+  });
+
+  for (let pass = 0; pass < TIDY_PASSES; pass++) {
+    let improved = false;
+    wires.forEach((wire) => {
+      const others = wires.filter((o) => o !== wire).map((o) => paths.get(o));
+      const path = routeWire(wire, others);
+      const score = scoreTidyPath(path, others, cellSize);
+      if (score < scoreTidyPath(paths.get(wire), others, cellSize)) {
+        paths.set(wire, path);
+        improved = true;
+      }
+    });
+    if (!improved) break;
+  }
+  return paths;
+}
+
+// Whether an axis-aligned run of the path goes into the box {x0, y0, x1,
+// y1}; touching its edge doesn't count
+function pathCrossesBox(path, box) {
+  return getPathSegments(path).some(
+    ([a, b]) =>
+      Math.max(a.x, b.x) > box.x0 &&
+      Math.min(a.x, b.x) < box.x1 &&
+      Math.max(a.y, b.y) > box.y0 &&
+      Math.min(a.y, b.y) < box.y1
+  );
+}
+
+// Crossings between every pair of paths
+function countPathCrossings(paths) {
+  let crossings = 0;
+  paths.forEach((path, i) => {
+    paths.slice(i + 1).forEach((other) => {
+      crossings += comparePaths(path, other).crossings;
+    });
+  });
+  return crossings;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    BATTERY_TYPES,
+    BATTERY_VOLTAGE,
+    BULB_RESISTANCE,
+    CIRCUIT_FORMAT,
+    COMPONENT_NAMES,
+    CircuitComponent,
+    CircuitAnalyzer,
+    MATERIALS,
+    SPICE_TAGS,
+    addMaterial,
+    advanceCapacitors,
+    assignNodes,
+    checkTutorialCondition,
+    comparePaths,
+    countPathCrossings,
+    decodeCircuitFromUrl,
+    encodeCircuitForUrl,
+    escapeHtml,
+    getBatteryVoltage,
+    getBulbBrightness,
+    getBulbBrightnessBand,
+    getBuzzerLevel,
+    getCapacitorCharge,
+    getCoilFieldStrength,
+    getConductivityClass,
+    getElectromagnetCurrent,
+    getElectromagnetPoles,
+    getLdrResistance,
+    getPathSegments,
+    getSolarVoltage,
+    isCustomMaterialType,
+    isJunctionType,
+    isMaterialType,
+    netlistToCircuit,
+    netlistToParts,
+    parseNetlist,
+    pathCrossesBox,
+    planTidyRoutes,
+    removeMaterial,
+    scoreTidyPath,
+    solveCircuit,
+    solveSparse,
+    tripOverloadedProtector,
+    validateCircuitData,
+    validateMaterial,
+    validateTutorial,
+  };
+}
@@ -22,6 +22,10 @@ const ANGULAR_DRAG = 0.8; // Angular damping
 const MAX_SPEED = 15;
 const FIELD_LINE_DENSITY = 16; // Lines per pole (Doubled again)
 
+// Electromagnet: the electric lab's coil (see electric01-core.js)
+const MAX_CELLS = 3;
+const COIL_CORE_Y = -15; // Iron core sits above the battery / switch pack
+
 // ---------------------------------------------------------
 // Vector Helpers
 // ---------------------------------------------------------
@@ -63,6 +67,11 @@ class Component {
     this.needleAngle = 0; // For compass needle independent rotation
     this.stuckTo = null;
 
+    // Electromagnet circuit
+    this.isSwitchOpen = true;
+    this.cellCount = 1;
+    this.isReversed = false; // Cells flipped: current and poles swap
+
     this.setSize();
   }
 
@@ -96,9 +105,19 @@ class Component {
       this.width = 40;
       this.height = 40;
       this.mass = 0.2; // Very Light
+    } else if (this.type === "electromagnet") {
+      this.width = 130;
+      this.height = 70;
+      this.mass = 12; // As heavy as the bar magnet
     }
   }
 
+  // Electromagnet only: amps through the coil, negative when reversed
+  getCoilCurrent() {
+    if (this.type !== "electromagnet") return 0;
+    return getElectromagnetCurrent(this);
+  }
+
   // Get 4 corner points in world space
   getCorners() {
     const hw = this.width / 2;
@@ -141,9 +160,53 @@ class Component {
         },
       ];
     }
+    if (this.type === "electromagnet") {
+      // No current, no poles: the core is plain iron then. Forward
+      // current: N at local Left (-x), like the bar magnet
+      const hw = this.width / 2;
+      const at = (x) =>
+        Vec2.add(
+          { x: this.x, y: this.y },
+          Vec2.rotate({ x, y: COIL_CORE_Y }, this.rotation)
+        );
+      return getElectromagnetPoles(this).map((p) => ({
+        type: p.type,
+        pos: at(p.side * (hw - 10)),
+        strength: p.strength,
+      }));
+    }
     return [];
   }
 
+  // Where field lines start: the pole faces, N traced forward, S backward
+  getFieldSeeds() {
+    const seeds = [];
+    const addFace = (localX, centerY, height, count, dirMult) => {
+      for (let i = 0; i < count; i++) {
+        const localY = centerY + (i - (count - 1) / 2) * (height / count);
+        const pos = Vec2.add(
+          { x: this.x, y: this.y },
+          Vec2.rotate({ x: localX, y: localY }, this.rotation)
+        );
+        seeds.push({ pos, dirMult });
+      }
+    };
+
+    const hw = this.width / 2;
+    if (this.type === "bar_magnet") {
+      addFace(-hw, 0, this.height, 5, 1);
+      addFace(hw, 0, this.height, 5, -1);
+    } else if (this.type === "electromagnet") {
+      const poles = getElectromagnetPoles(this);
+      if (poles.length === 0) return seeds;
+      // More current, more lines
+      const count = Math.min(2 + Math.round(2 * poles[0].strength), 8);
+      addFace(poles[0].side * hw, COIL_CORE_Y, 20, count, 1);
+      addFace(poles[1].side * hw, COIL_CORE_Y, 20, count, -1);
+    }
+    return seeds;
+  }
+
   getMaterialInfo() {
     switch (this.type) {
       case "bar_magnet":
@@ -158,6 +221,8 @@ class Component {
         return "銅 (非磁性)";
       case "eraser":
         return "橡膠 (非磁性)";
+      case "electromagnet":
+        return "電磁鐵 (鐵芯 + 線圈)";
       default:
         return "未知";
     }
@@ -337,6 +402,77 @@ class Component {
       ctx.strokeRect(-25, -15, 50, 30);
       ctx.fillStyle = "#3498db";
       ctx.fillRect(-25, -15, 20, 30); // Sleeve
+    } else if (this.type === "electromagnet") {
+      const hw = this.width / 2;
+      const cy = COIL_CORE_Y;
+      const poles = getElectromagnetPoles(this);
+
+      // Wires: coil -> cells -> switch -> coil
+      ctx.strokeStyle = "#2c3e50";
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.moveTo(-40, cy + 12);
+      ctx.lineTo(-62, 20);
+      ctx.moveTo(-4, 20);
+      ctx.lineTo(12, 24);
+      ctx.moveTo(40, cy + 12);
+      ctx.lineTo(58, 24);
+      ctx.lineTo(50, 24);
+      ctx.stroke();
+
+      // Iron core, tinted at the poles while current flows
+      ctx.fillStyle = "#95a5a6";
+      ctx.fillRect(-hw, cy - 10, this.width, 20);
+      if (poles.length > 0) {
+        const nSide = poles[0].side;
+        const alpha = Math.min(0.3 + 0.2 * poles[0].strength, 0.9);
+        ctx.fillStyle = `rgba(255, 71, 87, ${alpha})`;
+        ctx.fillRect(nSide < 0 ? -hw : hw - 22, cy - 10, 22, 20);
+        ctx.fillStyle = `rgba(52, 152, 219, ${alpha})`;
+        ctx.fillRect(nSide < 0 ? hw - 22 : -hw, cy - 10, 22, 20);
+
+        ctx.fillStyle = "white";
+        ctx.font = "bold 14px Arial";
+        ctx.textAlign = "center";
+        ctx.textBaseline = "middle";
+        ctx.fillText("N", nSide * (hw - 11), cy);
+        ctx.fillText("S", -nSide * (hw - 11), cy);
+      }
+
+      // Copper winding
+      ctx.strokeStyle = "#b87333";
+      ctx.lineWidth = 3;
+      for (let x = -40; x <= 40; x += 7) {
+        ctx.beginPath();
+        ctx.moveTo(x, cy - 13);
+        ctx.lineTo(x + 3, cy + 13);
+        ctx.stroke();
+      }
+
+      // Cells (the + end shows which way they are put in)
+      for (let i = 0; i < this.cellCount; i++) {
+        const x = -62 + i * 19;
+        ctx.fillStyle = "#f39c12";
+        ctx.fillRect(x, 12, 17, 16);
+        ctx.fillStyle = "#7f8c8d";
+        ctx.fillRect(this.isReversed ? x + 15 : x, 16, 2, 8);
+      }
+      ctx.fillStyle = "#e74c3c";
+      ctx.font = "bold 12px Arial";
+      ctx.textAlign = "center";
+      ctx.textBaseline = "middle";
+      ctx.fillText("+", this.isReversed ? -62 + this.cellCount * 19 : -66, 8);
+
+      // Knife switch: blade up = open
+      ctx.fillStyle = "#deb887";
+      ctx.fillRect(8, 24, 46, 8);
+      ctx.strokeStyle = "#7f8c8d";
+      ctx.lineWidth = 4;
+      ctx.beginPath();
+      ctx.moveTo(12, 24);
+      const blade = this.isSwitchOpen ? -Math.PI / 4 : 0;
+      ctx.lineTo(12 + 38 * Math.cos(blade), 24 + 38 * Math.sin(blade));
+      ctx.stroke();
     }
 
     ctx.restore();
@@ -359,9 +495,12 @@ function updatePhysics() {
 
 
   // 2. Identify Magnets and Magnetic Objects
-  const magnets = components.filter((c) => c.type === "bar_magnet");
+  // (an electromagnet is a magnet only while current flows)
+  const magnets = components.filter((c) => c.getPoles().length > 0);
   const magneticObjects = components.filter((c) =>
-    ["bar_magnet", "iron_nail", "key", "compass"].includes(c.type)
+    ["bar_magnet", "electromagnet", "iron_nail", "key", "compass"].includes(
+      c.type
+    )
   );
 
   // 3. Magnetic Forces
@@ -387,7 +526,7 @@ function updatePhysics() {
         // B = k * q / r^2 * r_hat
         const q = p.type === "N" ? 1 : -1;
         const dir = Vec2.scale(r, 1 / d);
-        const mag = (q * MAGNETIC_CONSTANT) / dSq;
+        const mag = (q * MAGNETIC_CONSTANT * p.strength) / dSq;
         B = Vec2.add(B, Vec2.scale(dir, mag));
       });
     });
@@ -408,10 +547,10 @@ function updatePhysics() {
 
       // Define points on the object to apply force
       let points = [];
-      if (obj.type === "bar_magnet") {
-        // Permanent Dipoles
+      const objPoles = obj.getPoles();
+      if (objPoles.length > 0) {
+        // Permanent Dipoles (or a live electromagnet)
         // Compass logic handled above separately
-        const objPoles = obj.getPoles();
 
         mPoles.forEach((p1) => {
           objPoles.forEach((p2) => {
@@ -430,7 +569,7 @@ function updatePhysics() {
             // Coulomb-like force
             const q1 = p1.type === "N" ? 1 : -1;
             const q2 = p2.type === "N" ? 1 : -1;
-            const strength = MAGNETIC_CONSTANT;
+            const strength = MAGNETIC_CONSTANT * p1.strength * p2.strength;
 
             let forceMag = (q1 * q2 * strength) / clampedDistSq;
 
@@ -472,7 +611,7 @@ function updatePhysics() {
         });
       } else {
         // Iron/Key
-        // Soft Magnetic Materials (Nail, Key)
+        // Soft Magnetic Materials (Nail, Key, switched-off electromagnet core)
         // Just attracted to both poles of the magnet
         // Attract center or ends? Ends allow rotation/alignment.
         // Let's simulate 2 points at ends of the nail
@@ -493,7 +632,9 @@ function updatePhysics() {
             if (distSq < 100 || distSq > 60000) return;
 
             // Always attraction
-            const forceMag = (-1 * (MAGNETIC_CONSTANT * 0.5)) / distSq; // Negative = Towards pole
+            // Negative = Towards pole
+            const forceMag =
+              (-1 * (MAGNETIC_CONSTANT * 0.5 * pole.strength)) / distSq;
             const dir = Vec2.norm(Vec2.sub(pt, pole.pos)); // Away vector
             const force = Vec2.scale(dir, forceMag);
 
@@ -834,7 +975,7 @@ function getOverlap(p1, p2) {
 // Field Visualization
 // ---------------------------------------------------------
 function drawFieldLines(ctx) {
-  const magnets = components.filter((c) => c.type === "bar_magnet");
+  const magnets = components.filter((c) => c.getPoles().length > 0);
   if (magnets.length === 0) return;
 
   ctx.save();
@@ -843,30 +984,9 @@ function drawFieldLines(ctx) {
   ctx.strokeStyle = "#7f8c8d";
 
   magnets.forEach((m) => {
-    const startPoints = []; // { pos: {x,y}, type: 'N'|'S' }
-    const w = m.width,
-      h = m.height;
-
-    // N Pole Seeds (Trace Forward)
-    for (let i = -2; i <= 2; i++) {
-      const localY = i * (h / 5);
-      const pos = Vec2.add(
-        { x: m.x, y: m.y },
-        Vec2.rotate({ x: -w / 2, y: localY }, m.rotation)
-      );
-      startPoints.push({ pos, dirMult: 1 });
-    }
-
-    // S Pole Seeds (Trace Backward)
+    // N Pole Seeds (Trace Forward), S Pole Seeds (Trace Backward)
     // Ensure lines entering S pole are also drawn
-    for (let i = -2; i <= 2; i++) {
-      const localY = i * (h / 5);
-      const pos = Vec2.add(
-        { x: m.x, y: m.y },
-        Vec2.rotate({ x: w / 2, y: localY }, m.rotation)
-      );
-      startPoints.push({ pos, dirMult: -1 });
-    }
+    const startPoints = m.getFieldSeeds(); // { pos: {x,y}, dirMult }
 
     startPoints.forEach((sp) => {
       let curr = { ...sp.pos };
@@ -889,7 +1009,7 @@ function drawFieldLines(ctx) {
 
             // Field points AWAY from N, TOWARDS S
             const dir = Vec2.scale(r, 1 / d); // Unit vector R
-            const mag = (pole.type === "N" ? 1 : -1) / dSq;
+            const mag = ((pole.type === "N" ? 1 : -1) * pole.strength) / dSq;
 
             B = Vec2.add(B, Vec2.scale(dir, mag * 20000));
           });
@@ -1116,12 +1236,28 @@ function handleEnd(e) {
       .reverse()
       .find((c) => isPointInPoly(dragStartPosition, c.getCorners()));
 
-    if (clicked) {
+    if (clicked && isOnSwitchPack(clicked, dragStartPosition)) {
+      toggleElectromagnet(clicked);
+    } else if (clicked) {
       clicked.rotation += Math.PI / 4;
     }
   }
 }
 
+// Electromagnet: the lower half (cells + switch) is the switch's tap area
+function isOnSwitchPack(c, pos) {
+  if (c.type !== "electromagnet") return false;
+  const local = Vec2.rotate(Vec2.sub(pos, { x: c.x, y: c.y }), -c.rotation);
+  return local.y > 0;
+}
+
+function toggleElectromagnet(c) {
+  c.isSwitchOpen = !c.isSwitchOpen;
+  statusDisplay.textContent = c.isSwitchOpen
+    ? "目前狀態: 開關打開，電磁鐵沒有磁性"
+    : "目前狀態: 開關閉合，電磁鐵有磁性了！";
+}
+
 // ---------------------------------------------------------
 // Drag & Drop (Toolbox) - Mouse
 // ---------------------------------------------------------
@@ -1344,6 +1480,8 @@ if (btnSidebarInstructions)
 const contextMenu = document.getElementById("context-menu");
 const menuDelete = document.getElementById("menu-delete");
 const menuMaterial = document.getElementById("menu-material-info");
+const menuCells = document.getElementById("menu-em-cells");
+const menuReverse = document.getElementById("menu-em-reverse");
 let contextMenuTarget = null;
 
 function showContextMenu(x, y, component) {
@@ -1353,6 +1491,18 @@ function showContextMenu(x, y, component) {
   contextMenu.classList.remove("hidden");
   menuMaterial.textContent = "材質: " + component.getMaterialInfo();
 
+  // Electromagnet circuit settings
+  const isCoil = component.type === "electromagnet";
+  menuCells.classList.toggle("hidden", !isCoil);
+  menuReverse.classList.toggle("hidden", !isCoil);
+  if (isCoil) {
+    const current = Math.abs(component.getCoilCurrent());
+    menuCells.textContent = `🔋 電池: ${component.cellCount} 顆 (點擊增加)`;
+    menuReverse.textContent = `🔄 電池反接 (電流 ${Math.round(
+      current * 1000
+    )} mA)`;
+  }
+
   // Calculate dimensions
   const menuWidth = contextMenu.offsetWidth;
   const menuHeight = contextMenu.offsetHeight;
@@ -1379,6 +1529,22 @@ function hideContextMenu() {
   contextMenuTarget = null;
 }
 
+// More cells = more current = stronger poles (wraps back to 1)
+menuCells.addEventListener("click", () => {
+  if (contextMenuTarget) {
+    contextMenuTarget.cellCount = (contextMenuTarget.cellCount % MAX_CELLS) + 1;
+    hideContextMenu();
+  }
+});
+
+// Reversing the cells reverses the current, so N and S swap ends
+menuReverse.addEventListener("click", () => {
+  if (contextMenuTarget) {
+    contextMenuTarget.isReversed = !contextMenuTarget.isReversed;
+    hideContextMenu();
+  }
+});
+
 menuDelete.addEventListener("click", () => {
   if (contextMenuTarget) {
     components = components.filter((c) => c !== contextMenuTarget);
@@ -1,4 +1,4 @@
-const CACHE_NAME = "natural-science-pwa-v15";
+const CACHE_NAME = "natural-science-pwa-v32";
 const ASSETS_TO_CACHE = [
   "./",
   "./index.html",
@@ -7,6 +7,7 @@ const ASSETS_TO_CACHE = [
   "./optics01.html",
   "./cabbage01.html",
   "./style.css",
+  "./electric01-core.js",
   "./electric01.js",
   "./magnet01.js",
   "./optics01.js",
@@ -0,0 +1,801 @@
+// Reference circuits for the electric01 solver and analyzer.
+// Run headless with: node --test tests/
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  BATTERY_VOLTAGE,
+  CIRCUIT_FORMAT,
+  CircuitAnalyzer,
+  CircuitComponent,
+  MATERIALS,
+  addMaterial,
+  advanceCapacitors,
+  checkTutorialCondition,
+  comparePaths,
+  countPathCrossings,
+  decodeCircuitFromUrl,
+  encodeCircuitForUrl,
+  escapeHtml,
+  getBulbBrightnessBand,
+  getBuzzerLevel,
+  getCapacitorCharge,
+  getCoilFieldStrength,
+  getConductivityClass,
+  getElectromagnetPoles,
+  netlistToCircuit,
+  netlistToParts,
+  pathCrossesBox,
+  planTidyRoutes,
+  removeMaterial,
+  scoreTidyPath,
+  solveCircuit,
+  tripOverloadedProtector,
+  validateCircuitData,
+  validateMaterial,
+  validateTutorial,
+} = require("../electric01-core.js");
+
+// Builds and solves a circuit from named parts and "a.0-b.1" wire links
+function buildCircuit(parts, links) {
+  const byName = {};
+  Object.entries(parts).forEach(([name, type]) => {
+    byName[name] = new CircuitComponent(type);
+  });
+  const terminal = (end) => {
+    const [name, tid] = end.split(".");
+    return { comp: byName[name], terminalId: Number(tid) };
+  };
+  const wires = links.map((link) => {
+    const [from, to] = link.split("-").map(terminal);
+    return { from, to, current: 0 };
+  });
+
+  const components = Object.values(byName);
+  const solution = solveCircuit(components, wires);
+  return {
+    ...byName,
+    components,
+    wires,
+    // Node voltage of a terminal (only differences are meaningful)
+    volts: (end) => {
+      const { comp, terminalId } = terminal(end);
+      const node = solution.terminalNodes.get(`${comp.id}-${terminalId}`);
+      return solution.nodeVoltages[node];
+    },
+    resolve: () => solveCircuit(components, wires),
+    analysis: () => CircuitAnalyzer.analyze(components, wires),
+  };
+}
+
+// Imports a netlist the way the lab does and solves it. Returns the
+// voltage of a node, by its name in the file, relative to node 0.
+function solveNetlist(text) {
+  const parts = netlistToParts(text);
+  const components = parts.map((p) => {
+    const c = new CircuitComponent(p.type);
+    if (p.type === "switch") c.isSwitchOpen = p.isSwitchOpen;
+    if (p.type === "resistor") c.resistance = p.resistance;
+    if (p.type === "battery") {
+      c.setBatteryType(p.batteryType);
+      c.voltage = p.voltage;
+      c.resistance = p.resistance;
+    }
+    return c;
+  });
+  // Every other terminal on a node is wired to the first one there
+  const firstOnNode = new Map();
+  const wires = [];
+  parts.forEach((p, i) =>
+    p.nodes.forEach((node, terminalId) => {
+      const end = { comp: components[i], terminalId };
+      if (firstOnNode.has(node)) {
+        wires.push({ from: firstOnNode.get(node), to: end, current: 0 });
+      } else {
+        firstOnNode.set(node, end);
+      }
+    })
+  );
+
+  const solution = solveCircuit(components, wires);
+  const volts = (node) => {
+    const { comp, terminalId } = firstOnNode.get(node);
+    const index = solution.terminalNodes.get(`${comp.id}-${terminalId}`);
+    return solution.nodeVoltages[index];
+  };
+  return (node) => volts(node) - volts("0");
+}
+
+function assertClose(actual, expected, tolerance = 1e-3) {
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `expected ${expected} ± ${tolerance}, got ${actual}`
+  );
+}
+
+test("single bulb lights at full battery voltage", () => {
+  const c = buildCircuit({ batt: "battery", bulb: "bulb" }, [
+    "batt.0-bulb.0",
+    "bulb.1-batt.1",
+  ]);
+  assertClose(c.volts("batt.0") - c.volts("batt.1"), BATTERY_VOLTAGE);
+  assertClose(c.bulb.voltageDrop, BATTERY_VOLTAGE);
+  assertClose(c.bulb.current, 0.015, 1e-5);
+  assertClose(c.batt.current, 0.015, 1e-5);
+  assertClose(c.wires[0].current, 0.015, 1e-5);
+  assert.equal(getBulbBrightnessBand(c.bulb), "normal");
+  assert.equal(c.batt.isShorted, false);
+});
+
+test("series bulbs share the voltage and glow dim", () => {
+  const c = buildCircuit({ batt: "battery", b1: "bulb", b2: "bulb" }, [
+    "batt.0-b1.0",
+    "b1.1-b2.0",
+    "b2.1-batt.1",
+  ]);
+  assertClose(c.volts("b1.1") - c.volts("batt.1"), BATTERY_VOLTAGE / 2);
+  [c.b1, c.b2].forEach((b) => {
+    assertClose(b.voltageDrop, BATTERY_VOLTAGE / 2);
+    assert.equal(getBulbBrightnessBand(b), "dim");
+  });
+
+  const analysis = c.analysis();
+  assert.equal(analysis.checkSeries([c.b1, c.b2]), true);
+  assert.equal(analysis.checkParallel([c.b1, c.b2]), false);
+  assert.equal(CircuitAnalyzer.getShape(analysis.decompose().load), "S(bulb,bulb)");
+});
+
+test("parallel bulbs each get the full voltage", () => {
+  const c = buildCircuit({ batt: "battery", b1: "bulb", b2: "bulb" }, [
+    "batt.0-b1.0",
+    "batt.0-b2.0",
+    "b1.1-batt.1",
+    "b2.1-batt.1",
+  ]);
+  [c.b1, c.b2].forEach((b) => {
+    assertClose(b.voltageDrop, BATTERY_VOLTAGE);
+    assert.equal(getBulbBrightnessBand(b), "normal");
+  });
+  assertClose(c.batt.current, 0.03, 1e-4);
+
+  const analysis = c.analysis();
+  assert.equal(analysis.checkParallel([c.b1, c.b2]), true);
+  assert.equal(analysis.checkSeries([c.b1, c.b2]), false);
+  assert.equal(CircuitAnalyzer.getShape(analysis.decompose().load), "P(bulb,bulb)");
+});
+
+test("junction nodes join parallel branches like stacked wires", () => {
+  const c = buildCircuit(
+    {
+      batt: "battery",
+      b1: "bulb",
+      b2: "bulb",
+      top: "junction",
+      bot: "junction",
+    },
+    [
+      "batt.0-top.0",
+      "top.0-b1.0",
+      "top.0-b2.0",
+      "b1.1-bot.0",
+      "b2.1-bot.0",
+      "bot.0-batt.1",
+    ]
+  );
+  [c.b1, c.b2].forEach((b) => assertClose(b.voltageDrop, BATTERY_VOLTAGE));
+  assertClose(c.batt.current, 0.03, 1e-4);
+  // The wire into the junction carries both branch currents
+  assertClose(Math.abs(c.wires[0].current), 0.03, 1e-4);
+  assertClose(Math.abs(c.wires[1].current), 0.015, 1e-4);
+
+  const analysis = c.analysis();
+  assert.equal(analysis.checkParallel([c.b1, c.b2]), true);
+  assert.equal(CircuitAnalyzer.getShape(analysis.decompose().load), "P(bulb,bulb)");
+});
+
+test("series batteries double the voltage", () => {
+  const c = buildCircuit({ a: "battery", b: "battery", bulb: "bulb" }, [
+    "a.1-b.0",
+    "b.1-bulb.0",
+    "bulb.1-a.0",
+  ]);
+  assertClose(c.bulb.voltageDrop, -2 * BATTERY_VOLTAGE, 2e-3);
+  assert.equal(getBulbBrightnessBand(c.bulb), "bright");
+
+  const tree = c.analysis().decompose();
+  assert.equal(CircuitAnalyzer.getShape(tree.source), "S(battery,battery)");
+});
+
+test("a wire across the battery is a short circuit", () => {
+  const c = buildCircuit({ batt: "battery", bulb: "bulb" }, [
+    "batt.0-batt.1",
+    "batt.0-bulb.0",
+    "bulb.1-batt.1",
+  ]);
+  assert.equal(c.batt.isShorted, true);
+  assertClose(c.batt.voltageDrop, 0);
+  assert.ok(c.batt.current > 100, "short circuit current should be huge");
+  assert.equal(getBulbBrightnessBand(c.bulb), "off");
+  // Battery and bulb both end up with their two terminals on one node
+  const { shorted } = c.analysis().decompose();
+  assert.ok(shorted.includes(c.batt) && shorted.includes(c.bulb));
+});
+
+test("a 9V battery with internal resistance sets its own normal brightness", () => {
+  const c = buildCircuit({ batt: "battery", bulb: "bulb" }, [
+    "batt.0-bulb.0",
+    "bulb.1-batt.1",
+  ]);
+  c.batt.setBatteryType("9v");
+  c.batt.resistance = 2;
+  c.resolve();
+  // Divider between the 2 Ohm internal resistance and the 100 Ohm bulb
+  assertClose(c.bulb.voltageDrop, (9 * 100) / 102);
+  assert.equal(c.batt.isShorted, false);
+  assert.equal(getBulbBrightnessBand(c.bulb, c.batt.voltage), "normal");
+  assert.equal(getBulbBrightnessBand(c.bulb), "bright"); // Against a 1.5V cell
+});
+
+test("the short-circuit threshold scales with the source voltage", () => {
+  // 1 Ohm across a 9V supply with 2 Ohm inside: 3V left at the terminals,
+  // above the fixed 0.8V of a 1.5V cell but still a short for 9V
+  const c = buildCircuit({ batt: "battery", r: "resistor" }, [
+    "batt.0-r.0",
+    "r.1-batt.1",
+  ]);
+  c.batt.setBatteryType("9v");
+  c.batt.resistance = 2;
+  c.r.resistance = 1;
+  c.resolve();
+  assertClose(c.batt.voltageDrop, 3);
+  assert.equal(c.batt.isShorted, true);
+});
+
+test("a fuse in series blows on a short and opens the loop", () => {
+  const c = buildCircuit({ batt: "battery", fuse: "fuse", bulb: "bulb" }, [
+    "batt.0-fuse.0",
+    "fuse.1-bulb.0",
+    "bulb.1-batt.1",
+  ]);
+  assert.equal(tripOverloadedProtector(c.components), null); // 15 mA is fine
+
+  c.wires.push({
+    from: { comp: c.bulb, terminalId: 0 },
+    to: { comp: c.bulb, terminalId: 1 },
+    current: 0,
+  });
+  c.resolve();
+  assert.equal(tripOverloadedProtector(c.components), c.fuse);
+  assert.ok(c.fuse.tripCurrent > 100);
+  c.resolve();
+  assert.equal(c.batt.isShorted, false);
+  assertClose(c.batt.current, 0);
+});
+
+test("an electromagnet's field follows the coil current and polarity", () => {
+  const one = buildCircuit({ batt: "battery", coil: "coil" }, [
+    "batt.0-coil.0",
+    "coil.1-batt.1",
+  ]);
+  assertClose(getCoilFieldStrength(one.coil), 1, 0.01);
+
+  // Two cells in series, feeding the other end of the coil
+  const two = buildCircuit({ b1: "battery", b2: "battery", coil: "coil" }, [
+    "b1.1-b2.0",
+    "b2.1-coil.0",
+    "coil.1-b1.0",
+  ]);
+  assertClose(getCoilFieldStrength(two.coil), -2, 0.01);
+});
+
+test("magnet page poles scale with the cells, flip and need the switch", () => {
+  const magnet = { cellCount: 1, isSwitchOpen: false, isReversed: false };
+  const one = getElectromagnetPoles(magnet);
+  assert.deepEqual(
+    one.map((p) => [p.type, p.side]),
+    [
+      ["N", -1],
+      ["S", 1],
+    ]
+  );
+  // One cell is as strong as the lab's coil on one cell: a bar magnet
+  one.forEach((p) => assertClose(p.strength, 1));
+
+  magnet.cellCount = 3;
+  getElectromagnetPoles(magnet).forEach((p) => assertClose(p.strength, 3));
+
+  // Reversed cells swap the ends, not the strength
+  magnet.isReversed = true;
+  const reversed = getElectromagnetPoles(magnet);
+  assert.deepEqual(
+    reversed.map((p) => [p.type, p.side]),
+    [
+      ["N", 1],
+      ["S", -1],
+    ]
+  );
+  reversed.forEach((p) => assertClose(p.strength, 3));
+
+  magnet.isSwitchOpen = true;
+  assert.deepEqual(getElectromagnetPoles(magnet), []);
+});
+
+test("an open switch breaks the loop until it is closed", () => {
+  const c = buildCircuit({ batt: "battery", sw: "switch", bulb: "bulb" }, [
+    "batt.0-sw.0",
+    "sw.1-bulb.0",
+    "bulb.1-batt.1",
+  ]);
+  assert.equal(getBulbBrightnessBand(c.bulb), "off");
+  assertClose(c.bulb.current, 0, 1e-6);
+  assertClose(c.sw.voltageDrop, BATTERY_VOLTAGE);
+
+  c.sw.isSwitchOpen = false;
+  c.resolve();
+  assertClose(c.bulb.voltageDrop, BATTERY_VOLTAGE);
+  assert.equal(getBulbBrightnessBand(c.bulb), "normal");
+  assertClose(c.sw.voltageDrop, 0);
+});
+
+test("an insulator in the path blocks the current, a conductor does not", () => {
+  const links = ["batt.0-item.0", "item.1-bulb.0", "bulb.1-batt.1"];
+  const eraser = buildCircuit(
+    { batt: "battery", item: "eraser", bulb: "bulb" },
+    links
+  );
+  assert.equal(getBulbBrightnessBand(eraser.bulb), "off");
+  assertClose(eraser.item.voltageDrop, BATTERY_VOLTAGE);
+
+  const paperclip = buildCircuit(
+    { batt: "battery", item: "paperclip", bulb: "bulb" },
+    links
+  );
+  assert.equal(getBulbBrightnessBand(paperclip.bulb), "normal");
+  assertClose(paperclip.item.voltageDrop, 0);
+});
+
+test("mixed circuit: two parallel bulbs in series with a third", () => {
+  const c = buildCircuit(
+    { batt: "battery", b1: "bulb", b2: "bulb", b3: "bulb" },
+    ["batt.0-b1.0", "batt.0-b2.0", "b1.1-b3.0", "b2.1-b3.0", "b3.1-batt.1"]
+  );
+  // 50 Ohm pair + 100 Ohm bulb: 10 mA, split 1/3 : 2/3 of the voltage
+  assertClose(c.batt.current, 0.01, 1e-4);
+  assertClose(c.b1.voltageDrop, 0.5);
+  assertClose(c.b2.voltageDrop, 0.5);
+  assertClose(c.b3.voltageDrop, 1.0);
+  assertClose(c.volts("b3.0") - c.volts("batt.1"), 1.0);
+  [c.b1, c.b2, c.b3].forEach((b) => {
+    assert.equal(getBulbBrightnessBand(b), "dim");
+  });
+
+  const analysis = c.analysis();
+  const tree = analysis.decompose();
+  assert.equal(tree.isReducible, true);
+  assert.equal(CircuitAnalyzer.getShape(tree.load), "S(P(bulb,bulb),bulb)");
+  assert.match(CircuitAnalyzer.describe(tree.load), /\(燈泡 並聯 燈泡\)/);
+  assert.equal(analysis.checkParallel([c.b1, c.b2]), true);
+  assert.equal(analysis.checkSeries([c.b1, c.b2, c.b3]), false);
+
+  // A solar cell is a source too, not one more load
+  const sun = buildCircuit(
+    { cell: "solar", b1: "bulb", b2: "bulb", b3: "bulb" },
+    ["cell.0-b1.0", "cell.0-b2.0", "b1.1-b3.0", "b2.1-b3.0", "b3.1-cell.1"]
+  );
+  const sunTree = sun.analysis().decompose();
+  assert.equal(sunTree.isReducible, true);
+  assert.equal(sunTree.source.comp, sun.cell);
+  assert.equal(CircuitAnalyzer.getShape(sunTree.load), "S(P(bulb,bulb),bulb)");
+  assert.deepEqual(sun.analysis().batts, [sun.cell]);
+});
+
+test("a bulb on a dead-end branch is left out of the loop", () => {
+  const c = buildCircuit({ batt: "battery", b1: "bulb", b2: "bulb" }, [
+    "batt.0-b1.0",
+    "b1.1-batt.1",
+    "b1.1-b2.0",
+  ]);
+  assert.equal(getBulbBrightnessBand(c.b2), "off");
+  assert.deepEqual(c.analysis().decompose().dangling, [c.b2]);
+});
+
+test("tutorial conditions follow the live circuit", () => {
+  const c = buildCircuit({ batt: "battery", sw: "switch", bulb: "bulb" }, [
+    "batt.0-sw.0",
+    "sw.1-bulb.0",
+    "bulb.1-batt.1",
+  ]);
+  const check = (condition) =>
+    checkTutorialCondition(condition, c.components, c.wires);
+  assert.equal(check({ placed: "bulb" }), true);
+  assert.equal(check({ placed: "bulb", count: 2 }), false);
+  assert.equal(check({ connected: ["battery.0", "switch"] }), true);
+  assert.equal(check({ connected: ["battery.0", "bulb.0"] }), false);
+  assert.equal(check({ flowing: "bulb" }), false);
+
+  c.sw.isSwitchOpen = false;
+  c.resolve();
+  assert.equal(
+    check({ all: [{ closed: "switch" }, { flowing: "bulb" }] }),
+    true
+  );
+
+  assert.doesNotThrow(() =>
+    validateTutorial({
+      title: "點亮燈泡",
+      steps: [
+        {
+          text: "接上燈泡",
+          target: { terminal: "bulb.1" },
+          done: { flowing: "bulb" },
+        },
+      ],
+    })
+  );
+  assert.throws(
+    () =>
+      validateTutorial({
+        title: "壞掉",
+        steps: [{ text: "x", done: { lit: "bulb" } }],
+      }),
+    /缺少完成條件/
+  );
+  assert.throws(
+    () =>
+      validateTutorial({
+        title: "壞掉",
+        steps: [{ text: "x", done: { connected: ["battery.2", "bulb"] } }],
+      }),
+    /battery\.2/
+  );
+});
+
+test("findMisplaced points at the parts that break the relation", () => {
+  const c = buildCircuit(
+    { batt: "battery", b1: "bulb", b2: "bulb", b3: "bulb" },
+    ["batt.0-b1.0", "b1.1-b2.0", "b2.1-batt.1", "b2.0-b3.0", "b2.1-b3.1"]
+  );
+  const analysis = c.analysis();
+  const bulbs = [c.b1, c.b2, c.b3];
+  // b2 and b3 sit across the same two Nodes, so the chain is broken there
+  assert.deepEqual(analysis.findMisplaced(bulbs, "series"), [c.b2, c.b3]);
+  // For a parallel bank, b1 is the one left outside the shared pair
+  assert.deepEqual(analysis.findMisplaced(bulbs, "parallel"), [c.b1]);
+  assert.deepEqual(analysis.findMisplaced([c.b2, c.b3], "parallel"), []);
+});
+
+test("a solar cell and an LDR both follow the sunlight", () => {
+  const c = buildCircuit({ sun: "solar", bulb: "bulb" }, [
+    "sun.0-bulb.0",
+    "bulb.1-sun.1",
+  ]);
+  assertClose(c.bulb.voltageDrop, 2 * (100 / 110));
+  c.sun.light = 0.5;
+  c.resolve();
+  assertClose(c.bulb.voltageDrop, 100 / 110);
+  assertClose(c.sun.current, c.bulb.current, 1e-6);
+
+  // Night light: the LDR shorts out the bulb in daylight only
+  const night = buildCircuit(
+    { batt: "battery", r: "resistor", ldr: "ldr", bulb: "bulb" },
+    [
+      "batt.0-r.0",
+      "r.1-bulb.0",
+      "bulb.1-batt.1",
+      "ldr.0-bulb.0",
+      "ldr.1-bulb.1",
+    ]
+  );
+  night.r.resistance = 10;
+  night.resolve();
+  assert.equal(getBulbBrightnessBand(night.bulb), "off");
+  night.ldr.light = 0;
+  night.resolve();
+  assertClose(night.ldr.resistance, 100000);
+  assert.notEqual(getBulbBrightnessBand(night.bulb), "off");
+});
+
+test("a buzzer gets louder with more voltage and is silent below 0.3V", () => {
+  const c = buildCircuit({ batt: "battery", buzz: "buzzer" }, [
+    "batt.0-buzz.0",
+    "buzz.1-batt.1",
+  ]);
+  assertClose(getBuzzerLevel(c.buzz), 1);
+  c.batt.setBatteryType("9v");
+  c.resolve();
+  assertClose(getBuzzerLevel(c.buzz), 6);
+  c.batt.voltage = 0.2;
+  c.resolve();
+  assert.equal(getBuzzerLevel(c.buzz), 0);
+});
+
+// Advances a transient simulation by a number of dt-second steps
+function stepCircuit(c, steps, dt = 0.01) {
+  for (let i = 0; i < steps; i++) {
+    solveCircuit(c.components, c.wires, dt);
+    advanceCapacitors(c.components);
+  }
+}
+
+test("a capacitor in series lights a bulb briefly, then blocks DC", () => {
+  const c = buildCircuit({ batt: "battery", cap: "capacitor", bulb: "bulb" }, [
+    "batt.0-cap.0",
+    "cap.1-bulb.0",
+    "bulb.1-batt.1",
+  ]);
+  // Steady state: the charged capacitor is an open circuit
+  assert.equal(getBulbBrightnessBand(c.bulb), "off");
+
+  // Uncharged, it passes the full current at first...
+  stepCircuit(c, 1);
+  assert.equal(getBulbBrightnessBand(c.bulb), "normal");
+  assertClose(c.cap.current, c.bulb.current, 1e-5);
+  // ...then fades with time constant RC = 100 Ohm x 0.02F = 2s
+  stepCircuit(c, 199);
+  assertClose(c.bulb.voltageDrop, BATTERY_VOLTAGE * Math.exp(-1), 0.01);
+  stepCircuit(c, 1000);
+  assert.equal(getBulbBrightnessBand(c.bulb), "off");
+  assertClose(c.cap.capVoltage, BATTERY_VOLTAGE, 0.01);
+  assertClose(getCapacitorCharge(c.cap), 0.02 * BATTERY_VOLTAGE, 1e-3);
+});
+
+test("opening the switch lets a charged capacitor discharge through a bulb", () => {
+  const c = buildCircuit(
+    { batt: "battery", sw: "switch", cap: "capacitor", bulb: "bulb" },
+    [
+      "batt.0-sw.0",
+      "sw.1-cap.0",
+      "cap.1-batt.1",
+      "bulb.0-cap.0",
+      "bulb.1-cap.1",
+    ]
+  );
+  c.sw.isSwitchOpen = false;
+  stepCircuit(c, 100);
+  assertClose(c.cap.capVoltage, BATTERY_VOLTAGE);
+
+  // The bulb keeps glowing off the capacitor alone, then fades out
+  c.sw.isSwitchOpen = true;
+  stepCircuit(c, 1);
+  assertClose(c.bulb.voltageDrop, BATTERY_VOLTAGE, 0.02);
+  assertClose(c.cap.current, -c.bulb.current, 1e-5);
+  stepCircuit(c, 199);
+  assertClose(c.bulb.voltageDrop, BATTERY_VOLTAGE * Math.exp(-1), 0.01);
+  stepCircuit(c, 1000);
+  assert.equal(getBulbBrightnessBand(c.bulb), "off");
+});
+
+test("the material bench sorts conductors, partial conductors and insulators", () => {
+  const bench = (type) => {
+    const c = buildCircuit({ batt: "battery", bulb: "bulb", m: type }, [
+      "batt.0-bulb.0",
+      "bulb.1-m.0",
+      "m.1-batt.1",
+    ]);
+    return getBulbBrightnessBand(c.bulb);
+  };
+  assert.equal(bench("key"), "normal");
+  assert.equal(bench("pencil"), "dim");
+  assert.equal(bench("saltwater"), "dim");
+  assert.equal(bench("glass"), "off");
+  // The same verdict straight from the resistance
+  const verdict = (type) =>
+    getConductivityClass(new CircuitComponent(type).resistance);
+  assert.equal(verdict("foil"), "conductor");
+  assert.equal(verdict("pencil"), "partial");
+  assert.equal(verdict("wood"), "insulator");
+
+  // A teacher's material behaves like any built-in one
+  addMaterial("custom-1", { name: " 檸檬 ", icon: "🍋", resistance: 0 });
+  try {
+    assert.equal(new CircuitComponent("custom-1").resistance > 0, true);
+    assert.equal(bench("custom-1"), "normal");
+  } finally {
+    removeMaterial("custom-1");
+  }
+  const lemon = { name: "檸檬", icon: "🍋", resistance: 1 };
+  assert.throws(() => validateMaterial({ ...lemon, name: "" }), /名稱/);
+  assert.throws(() => validateMaterial({ ...lemon, icon: "" }), /圖示/);
+  assert.throws(() => validateMaterial({ ...lemon, resistance: -1 }), /電阻/);
+});
+
+test("a share link with markup as a part type is rejected and shown as text", () => {
+  const type = '<img src=x onerror="alert(1)">';
+  const link = encodeCircuitForUrl({
+    version: 1,
+    components: [{ id: 0, type, x: 100, y: 100, rotation: 0 }],
+    wires: [],
+  });
+  const data = decodeCircuitFromUrl(link);
+  assert.equal(data.components[0].type, type);
+
+  assert.throws(
+    () => validateCircuitData(data),
+    (err) => {
+      // What the error modal gets: the markup only as escaped text
+      const shown = escapeHtml(err.message);
+      assert.ok(!shown.includes("<"), shown);
+      assert.match(shown, /&lt;img src=x onerror=&quot;alert\(1\)&quot;&gt;/);
+      return true;
+    }
+  );
+});
+
+test("a wire to a terminal the part does not have is rejected", () => {
+  const data = {
+    format: CIRCUIT_FORMAT,
+    version: 1,
+    components: [
+      { id: 0, type: "battery", x: 0, y: 0, rotation: 0 },
+      { id: 1, type: "junction", x: 0, y: 0, rotation: 0 },
+    ],
+    wires: [{ from: { id: 0, terminal: 0 }, to: { id: 1, terminal: 0 } }],
+  };
+  validateCircuitData(data); // A junction has terminal 0 only
+  data.wires[0].to.terminal = 1;
+  assert.throws(() => validateCircuitData(data), /不存在的接點/);
+});
+
+test("netlist: a 3V source across a 100Ω / 1kΩ divider", () => {
+  const volts = solveNetlist(`* divider
+    V1 1 0 DC 3
+    R1 1 2 100
+    R2 2 0 1k
+    .op
+    .end`);
+  assertClose(volts("1"), 3); // Two 1.5V cells in series
+  assertClose(volts("2"), (3 * 1000) / 1100);
+});
+
+test("netlist: a silicon diode drops its forward voltage", () => {
+  const volts = solveNetlist(`* diode
+    V1 1 0 1.5
+    D1 1 2 DSI
+    R1 2 0 100
+    .model DSI D(IS=1e-14 N=1 RS=1)`);
+  // Piecewise-linear diode: 0.7V plus 1Ω on-resistance in series
+  assertClose(volts("2"), ((1.5 - 0.7) * 100) / 101);
+
+  const reversed = solveNetlist(`* diode
+    V1 1 0 1.5
+    D1 2 1 DSI
+    R1 2 0 100`);
+  assertClose(reversed("2"), 0);
+});
+
+test("netlist: a switch follows its model's threshold", () => {
+  const circuit = (model) => `* switch
+    V1 1 0 1.5
+    S1 1 2 0 0 ${model}
+    R1 2 0 100
+    .model SWON SW(VT=-1)
+    .model SWOFF SW(VT=1)`;
+  assertClose(solveNetlist(circuit("SWON"))("2"), 1.5);
+  assertClose(solveNetlist(circuit("SWOFF"))("2"), 0);
+});
+
+test("netlist: battery internal resistance folds back into the cell", () => {
+  const parts = netlistToParts(`* cell
+    V1 1 V1_int DC 1.5
+    RV1 V1_int 0 0.5
+    R1 1 0 10`);
+  assert.deepEqual(parts.map((p) => p.type), ["battery", "resistor"]);
+  assert.equal(parts[0].resistance, 0.5);
+  assert.deepEqual(parts[0].nodes, ["1", "0"]);
+
+  // The save file wires each node's terminals in a chain
+  const data = netlistToCircuit("* cell\nV1 1 0 1.5\nR1 1 0 10", 800);
+  validateCircuitData(data);
+  assert.equal(data.wires.length, 2);
+  assert.throws(() => netlistToParts("* coil\nL1 1 0 1m"), /不支援的元件/);
+
+  // A line of separators only is skipped, not a crash
+  const stray = netlistToParts("* stray\n( )\n,\nV1 1 0 1.5\nR1 1 0 10");
+  assert.deepEqual(stray.map((p) => p.type), ["battery", "resistor"]);
+});
+
+test("a share link carries a teacher's material to another device", () => {
+  const type = "custom-1700000000";
+  const material = { name: "檸檬", icon: "🍋", resistance: 500 };
+  const link = encodeCircuitForUrl({
+    version: 1,
+    components: [
+      { id: 0, type: "battery", x: 100, y: 100, rotation: 0 },
+      { id: 1, type, x: 300, y: 100, rotation: 1, material },
+    ],
+    wires: [{ from: { id: 0, terminal: 0 }, to: { id: 1, terminal: 0 } }],
+  });
+  assert.match(link, /^[A-Za-z0-9_-]+$/);
+
+  // The other device has never seen the material
+  const data = decodeCircuitFromUrl(link);
+  assert.deepEqual(data.components[1], {
+    id: 1,
+    type,
+    x: 300,
+    y: 100,
+    rotation: 1,
+    material,
+  });
+  const materials = validateCircuitData(data);
+  assert.deepEqual([...materials], [[type, material]]);
+  assert.equal(MATERIALS[type], undefined); // Left for the caller to add
+
+  // A broken file registers nothing
+  data.wires[0].to.terminal = 5;
+  assert.throws(() => validateCircuitData(data), /不存在的接點/);
+  assert.equal(MATERIALS[type], undefined);
+});
+
+test("tidy scoring counts crossings and shared runs between wires", () => {
+  const across = [
+    { x: 0, y: 100 },
+    { x: 200, y: 100 },
+  ];
+  const down = [
+    { x: 100, y: 0 },
+    { x: 100, y: 200 },
+  ];
+  const along = [
+    { x: 150, y: 100 },
+    { x: 300, y: 100 },
+  ];
+  const atEnd = [
+    { x: 200, y: 0 },
+    { x: 200, y: 200 },
+  ];
+  assert.deepEqual(comparePaths(across, down), { crossings: 1, overlap: 0 });
+  assert.deepEqual(comparePaths(across, along), { crossings: 0, overlap: 50 });
+  // Meeting at a wire's end is not a crossing
+  assert.deepEqual(comparePaths(across, atEnd), { crossings: 0, overlap: 0 });
+  assert.equal(countPathCrossings([across, down, along, atEnd]), 2);
+
+  // 10 cells long, one crossing, 2.5 cells alongside another wire
+  assert.equal(scoreTidyPath(across, [down, along], 20), 10 + 8 + 2.5 * 40);
+
+  const part = { x0: 90, y0: 90, x1: 110, y1: 110 };
+  assert.equal(pathCrossesBox(down, part), true);
+  // Running along a part's edge doesn't go into it
+  const beside = { x0: 100, y0: 0, x1: 140, y1: 40 };
+  assert.equal(pathCrossesBox(down, beside), false);
+});
+
+test("tidying re-routes a crossing wire without rewiring anything", () => {
+  const c = buildCircuit({ batt: "battery", bulb: "bulb" }, [
+    "batt.0-bulb.0",
+    "bulb.1-batt.1",
+  ]);
+  const links = () =>
+    c.wires.map((w) => [
+      w.from.comp,
+      w.from.terminalId,
+      w.to.comp,
+      w.to.terminalId,
+    ]);
+  const before = links();
+
+  const across = [
+    { x: 0, y: 100 },
+    { x: 200, y: 100 },
+  ];
+  const straight = [
+    { x: 100, y: 0 },
+    { x: 100, y: 200 },
+  ];
+  const detour = [
+    { x: 100, y: 0 },
+    { x: 220, y: 0 },
+    { x: 220, y: 200 },
+  ];
+  // The second wire only goes round once it knows about the first
+  const [first, second] = c.wires;
+  const route = (wire, others) =>
+    wire === first ? across : others.length > 0 ? detour : straight;
+  const paths = planTidyRoutes([second, first], route, 20);
+
+  assert.equal(paths.get(first), across);
+  assert.equal(paths.get(second), detour);
+  assert.equal(countPathCrossings([...paths.values()]), 0);
+  assert.deepEqual(links(), before);
+  c.resolve();
+  assert.equal(getBulbBrightnessBand(c.bulb), "normal");
+});